@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Course Engine — command-line interface.
+ * Runs the same conversions as the app without a browser:
+ *   course-engine build course.xlsx -o course.tar.gz [--assets dir|zip]
+ *   course-engine import export.tar.gz -o course.xlsx [--assets assets.zip]
+ * Exits 1 when the input has errors and 2 on bad usage. --json prints the
+ * diagnostics as JSON on stdout instead of text on stderr.
+ */
+import { readFile, writeFile, readdir, stat } from 'node:fs/promises';
+import { basename, join, relative, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+import { unzipSync, zipSync } from 'fflate';
+import { parseWorkbook } from '../src/parser.js';
+import { sanitizeUrlName } from '../src/utils.js';
+import { buildOlx, importOlx } from '../src/pipeline.js';
+import { tarGzip } from '../src/tar.js';
+import { courseDataToExcel } from '../src/excel-writer.js';
+
+const USAGE = `Usage:
+  course-engine build <course.xlsx> [-o course.tar.gz] [--assets <dir|zip>] [--json]
+  course-engine import <export.tar.gz> [-o course.xlsx] [--assets <assets.zip>] [--json]
+
+Options:
+  -o, --output   Output file (default: named after the course)
+  --assets       build: folder or .zip of static files to include
+                 import: write the course's static files to this .zip
+  --json         Print diagnostics as JSON on stdout
+  -h, --help     Show this help`;
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                output: { type: 'string', short: 'o' },
+                assets: { type: 'string' },
+                json: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values, positionals } = args;
+    const [command, input] = positionals;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!['build', 'import'].includes(command) || !input || positionals.length > 2) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    let result;
+    try {
+        result = command === 'build'
+            ? await build(input, values)
+            : await importCourse(input, values);
+    } catch (err) {
+        result = { output: null, diagnostics: [{ level: 'error', message: err.message }] };
+    }
+
+    const ok = !result.diagnostics.some(d => d.level === 'error');
+    if (values.json) {
+        console.log(JSON.stringify({ ok, ...result }, null, 2));
+    } else {
+        for (const d of result.diagnostics) {
+            const where = d.blockId ? `${d.blockId}: ` : '';
+            console.error(`${d.level}: ${where}${d.message}`);
+        }
+        if (result.output) console.error(`Wrote ${result.output}`);
+    }
+    return ok ? 0 : 1;
+}
+
+/**
+ * Excel workbook → OLX .tar.gz
+ */
+async function build(input, options) {
+    const { data, errors } = await parseWorkbook(await readFile(input));
+    // The course model is incomplete when the workbook has errors
+    if (errors.length > 0) {
+        return { output: null, diagnostics: errors.map(message => ({ level: 'error', message })) };
+    }
+    data.assets = options.assets ? await readAssets(options.assets) : new Map();
+
+    const { files, diagnostics } = buildOlx(data);
+    if (diagnostics.some(d => d.level === 'error')) {
+        return { output: null, diagnostics };
+    }
+
+    const entries = [...files].map(([path, content]) => ({
+        name: `course/${path}`,
+        data: typeof content === 'string' ? new TextEncoder().encode(content) : content
+    }));
+
+    const output = options.output || `${sanitizeUrlName(data.info.courseName || 'course')}_export.tar.gz`;
+    await writeFile(output, tarGzip(entries));
+    return { output, diagnostics };
+}
+
+/**
+ * OLX .tar.gz → Excel workbook (and optionally an assets zip)
+ */
+async function importCourse(input, options) {
+    const buffer = await readFile(input);
+    const { data, diagnostics } = importOlx(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+
+    const output = options.output || `${sanitizeUrlName(data.info.courseName || 'course')}_edx_manifest.xlsx`;
+    const blob = await courseDataToExcel(data);
+    await writeFile(output, new Uint8Array(await blob.arrayBuffer()));
+
+    if (options.assets && data.assets.size > 0) {
+        await writeFile(options.assets, zipSync(Object.fromEntries(data.assets)));
+    }
+    return { output, diagnostics };
+}
+
+/**
+ * Read static files from a folder (keeping sub-folder paths) or a .zip.
+ * @returns {Promise<Map<string, Uint8Array>>}
+ */
+async function readAssets(path) {
+    const assets = new Map();
+    if ((await stat(path)).isDirectory()) {
+        for (const entry of await readdir(path, { recursive: true, withFileTypes: true })) {
+            if (!entry.isFile()) continue;
+            const full = join(entry.parentPath ?? entry.path, entry.name);
+            assets.set(relative(path, full).split(sep).join('/'), new Uint8Array(await readFile(full)));
+        }
+    } else if (/\.zip$/i.test(path)) {
+        for (const [name, content] of Object.entries(unzipSync(new Uint8Array(await readFile(path))))) {
+            if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+            assets.set(name.replace(/^static\//, ''), content);
+        }
+    } else {
+        assets.set(basename(path), new Uint8Array(await readFile(path)));
+    }
+    return assets;
+}
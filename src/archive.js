@@ -6,7 +6,7 @@ import { tarGzip } from './tar.js';
 /**
  * Generate a .tar.gz Blob from a Map<filePath, content>.
  * All paths are prefixed with "course/" to match EdX import expectations.
- * @param {Map<string, string>} files - filePath → content
+ * @param {Map<string, string|Uint8Array>} files - filePath → text or binary content
  * @returns {Promise<Blob>}
  */
 export async function generateTarGz(files) {
@@ -14,7 +14,7 @@ export async function generateTarGz(files) {
 
     for (const [path, content] of files) {
         const fullPath = `course/${path}`;
-        const data = new TextEncoder().encode(content);
+        const data = typeof content === 'string' ? new TextEncoder().encode(content) : content;
         entries.push({ name: fullPath, data });
     }
 
@@ -28,7 +28,18 @@ export async function courseDataToExcel(courseData) {
         { field: 'Language', value: courseData.info.language || 'en' },
         { field: 'Start Date', value: courseData.info.startDate || '' },
         { field: 'End Date', value: courseData.info.endDate || '' },
-        { field: 'Self-Paced', value: courseData.info.selfPaced ? 'Yes' : 'No' }
+        { field: 'Self-Paced', value: courseData.info.selfPaced ? 'Yes' : 'No' },
+        { field: 'Enrollment Start', value: courseData.info.enrollmentStart },
+        { field: 'Enrollment End', value: courseData.info.enrollmentEnd },
+        { field: 'Certificate Date', value: courseData.info.certificateDate },
+        { field: 'Course Image', value: courseData.info.courseImage },
+        { field: 'Short Description', value: courseData.info.shortDescription },
+        { field: 'Overview', value: courseData.info.overview },
+        { field: 'Advanced Modules', value: courseData.info.advancedModules.join('; ') },
+        { field: 'Prerequisite Courses', value: courseData.info.prerequisiteCourses.join('; ') },
+        { field: 'Invitation Only', value: courseData.info.invitationOnly ? 'Yes' : 'No' },
+        { field: 'Tabs', value: courseData.info.tabs.join('; ') },
+        { field: 'Hidden Tabs', value: courseData.info.hiddenTabs.join('; ') }
     ]);
 
     // --- Sheet 2: Structure ---
@@ -38,7 +49,13 @@ export async function courseDataToExcel(courseData) {
         { header: 'sequential', key: 'sequential', width: 30 },
         { header: 'vertical', key: 'vertical', width: 35 },
         { header: 'block_type', key: 'blockType', width: 15 },
-        { header: 'block_id', key: 'blockId', width: 35 }
+        { header: 'block_id', key: 'blockId', width: 35 },
+        { header: 'chapter_id', key: 'chapterId', width: 35 },
+        { header: 'sequential_id', key: 'sequentialId', width: 35 },
+        { header: 'vertical_id', key: 'verticalId', width: 35 },
+        { header: 'graded', key: 'graded', width: 10 },
+        { header: 'format', key: 'format', width: 15 },
+        { header: 'due', key: 'due', width: 22 }
     ];
     courseData.structure.forEach(row => {
         ws2.addRow({
@@ -46,7 +63,13 @@ export async function courseDataToExcel(courseData) {
             sequential: row.sequential,
             vertical: row.vertical,
             blockType: row.blockType,
-            blockId: row.blockId
+            blockId: row.blockId,
+            chapterId: row.chapterId || '',
+            sequentialId: row.sequentialId || '',
+            verticalId: row.verticalId || '',
+            graded: row.graded ? 'Yes' : '',
+            format: row.format || '',
+            due: row.due || ''
         });
     });
 
@@ -66,6 +89,15 @@ export async function courseDataToExcel(courseData) {
     }
 
     // --- Sheet 4: Videos ---
+    // The course language transcript goes in transcript_file; every other
+    // language found gets its own transcript_<lang> column.
+    const courseLanguage = courseData.info.language || 'en';
+    const otherLanguages = new Set();
+    for (const block of courseData.videoBlocks.values()) {
+        for (const t of block.transcripts || []) {
+            if (t.language !== courseLanguage) otherLanguages.add(t.language);
+        }
+    }
     const ws4 = wb.addWorksheet('Videos');
     ws4.columns = [
         { header: 'block_id', key: 'blockId', width: 35 },
@@ -73,20 +105,37 @@ export async function courseDataToExcel(courseData) {
         { header: 'youtube_id', key: 'youtubeId', width: 20 },
         { header: 'html5_url', key: 'html5Url', width: 40 },
         { header: 'start_time', key: 'startTime', width: 12 },
-        { header: 'end_time', key: 'endTime', width: 12 }
+        { header: 'end_time', key: 'endTime', width: 12 },
+        { header: 'transcript_file', key: 'transcriptFile', width: 30 },
+        ...[...otherLanguages].map(lang => ({ header: `transcript_${lang}`, key: `transcript_${lang}`, width: 30 }))
     ];
     for (const [id, block] of courseData.videoBlocks) {
-        ws4.addRow({
+        const row = {
             blockId: block.blockId,
             title: block.title,
             youtubeId: block.youtubeId,
             html5Url: block.html5Url,
             startTime: block.startTime,
             endTime: block.endTime
-        });
+        };
+        for (const t of block.transcripts || []) {
+            row[t.language === courseLanguage ? 'transcriptFile' : `transcript_${t.language}`] = t.file;
+        }
+        ws4.addRow(row);
     }
 
     // --- Sheet 5: Problems ---
+    // Dynamically determine max compound and demand hint counts, and whether
+    // any problem needs the points_<letter> columns
+    let maxCompoundHints = 1;
+    let maxDemandHints = 1;
+    let usesPoints = false;
+    for (const [id, block] of courseData.problemBlocks) {
+        maxCompoundHints = Math.max(maxCompoundHints, (block.compoundHints || []).length);
+        maxDemandHints = Math.max(maxDemandHints, (block.demandHints || []).length);
+        usesPoints = usesPoints || block.partialCredit === 'points';
+    }
+
     const ws5 = wb.addWorksheet('Problems');
     const probCols = [
         { header: 'block_id', key: 'blockId', width: 35 },
@@ -106,24 +155,67 @@ export async function courseDataToExcel(courseData) {
         { header: 'hint_d', key: 'hint_d', width: 25 },
         { header: 'hint_e', key: 'hint_e', width: 25 },
         { header: 'hint_f', key: 'hint_f', width: 25 },
+        { header: 'answer', key: 'answer', width: 20 },
+        { header: 'tolerance', key: 'tolerance', width: 12 },
+        { header: 'additional_answers', key: 'additionalAnswers', width: 30 },
+        { header: 'case_sensitive', key: 'caseSensitive', width: 14 },
         { header: 'explanation', key: 'explanation', width: 50 },
-        { header: 'show_answer', key: 'showAnswer', width: 12 }
+        { header: 'show_answer', key: 'showAnswer', width: 12 },
+        { header: 'weight', key: 'weight', width: 10 },
+        { header: 'max_attempts', key: 'maxAttempts', width: 13 },
+        { header: 'rerandomize', key: 'rerandomize', width: 13 },
+        { header: 'show_reset_button', key: 'showResetButton', width: 18 },
+        { header: 'partial_credit', key: 'partialCredit', width: 14 }
     ];
+    if (usesPoints) {
+        for (const letter of ['a', 'b', 'c', 'd', 'e', 'f']) {
+            probCols.push({ header: `points_${letter}`, key: `points_${letter}`, width: 10 });
+        }
+    }
+    for (let i = 1; i <= maxCompoundHints; i++) {
+        probCols.push({ header: `compound_hint_${i}`, key: `compound_hint_${i}`, width: 30 });
+    }
+    for (let i = 1; i <= maxDemandHints; i++) {
+        probCols.push({ header: `demand_hint_${i}`, key: `demand_hint_${i}`, width: 30 });
+    }
+    probCols.push({ header: 'raw_xml', key: 'rawXml', width: 60 });
     ws5.columns = probCols;
 
     for (const [id, block] of courseData.problemBlocks) {
+        if (block.rawXml) {
+            ws5.addRow({ blockId: block.blockId, title: block.title, rawXml: block.rawXml });
+            continue;
+        }
+
         // Fallback to correct answers count if isMultiSelect isn't explicitly defined
         const correctCount = block.choices.filter(c => c.correct).length;
         const isMultiSelect = block.isMultiSelect !== undefined ? block.isMultiSelect : (correctCount > 1);
 
+        const problemType = block.problemType || (isMultiSelect ? 'multi-select' : 'single-select');
+
         const row = {
             blockId: block.blockId,
             title: block.title,
-            problemType: isMultiSelect ? 'multi-select' : 'single-select',
+            problemType,
             questionText: block.questionText,
             explanation: block.explanation,
-            showAnswer: block.showAnswer
+            showAnswer: block.showAnswer,
+            weight: block.weight || '',
+            maxAttempts: block.maxAttempts || '',
+            rerandomize: block.rerandomize || '',
+            showResetButton: block.showResetButton == null ? '' : (block.showResetButton ? 'Yes' : 'No')
         };
+
+        if (problemType === 'numerical' || problemType === 'text-input') {
+            row.answer = block.answer;
+        }
+        if (problemType === 'numerical') {
+            row.tolerance = block.tolerance;
+        }
+        if (problemType === 'text-input') {
+            row.additionalAnswers = (block.additionalAnswers || []).join(';');
+            row.caseSensitive = block.caseSensitive ? 'Yes' : 'No';
+        }
         const letters = ['a', 'b', 'c', 'd', 'e', 'f'];
 
         // Choices and Hints
@@ -132,6 +224,7 @@ export async function courseDataToExcel(courseData) {
             if (block.choices[i]) {
                 row[`choice_${letter}`] = block.choices[i].text;
                 row[`hint_${letter}`] = block.choices[i].hint;
+                row[`points_${letter}`] = block.choices[i].pointValue || '';
             }
         }
 
@@ -141,50 +234,336 @@ export async function courseDataToExcel(courseData) {
             .filter(Boolean)
             .join(',');
 
+        // Hints: "A,C: hint" for a selection, then the demand hints in order
+        row.partialCredit = block.partialCredit || '';
+        (block.compoundHints || []).forEach((compound, i) => { row[`compound_hint_${i + 1}`] = `${compound.choices.join(',')}: ${compound.hint}`; });
+        (block.demandHints || []).forEach((hint, i) => { row[`demand_hint_${i + 1}`] = hint; });
+
         ws5.addRow(row);
     }
 
     // --- Sheet 6: Open Response ---
-    // Dynamically determine max criteria count
+    // Dynamically determine max prompt and criteria counts
+    let maxPrompts = 1;
     let maxCriteria = 1;
     for (const [id, block] of courseData.openResponseBlocks) {
+        maxPrompts = Math.max(maxPrompts, block.prompts.length);
         maxCriteria = Math.max(maxCriteria, block.criteria.length);
     }
 
     const ws6 = wb.addWorksheet('Open Response');
     const oraCols = [
         { header: 'block_id', key: 'blockId', width: 35 },
-        { header: 'title', key: 'title', width: 25 },
-        { header: 'prompt', key: 'prompt', width: 60 }
+        { header: 'title', key: 'title', width: 25 }
     ];
+    for (let i = 1; i <= maxPrompts; i++) {
+        oraCols.push({ header: `prompt_${i}`, key: `prompt_${i}`, width: 60 });
+    }
 
     for (let i = 1; i <= maxCriteria; i++) {
         oraCols.push(
             { header: `criterion_${i}_name`, key: `crit_${i}_name`, width: 25 },
-            { header: `criterion_${i}_options`, key: `crit_${i}_opts`, width: 50 }
+            { header: `criterion_${i}_prompt`, key: `crit_${i}_prompt`, width: 40 },
+            { header: `criterion_${i}_options`, key: `crit_${i}_opts`, width: 50 },
+            { header: `criterion_${i}_explanations`, key: `crit_${i}_expl`, width: 60 }
         );
     }
-    oraCols.push({ header: 'assessment_type', key: 'assessmentType', width: 15 });
+    oraCols.push(
+        { header: 'assessment_type', key: 'steps', width: 18 },
+        { header: 'submission_start', key: 'submissionStart', width: 20 },
+        { header: 'submission_due', key: 'submissionDue', width: 20 },
+        { header: 'peer_start', key: 'peerStart', width: 20 },
+        { header: 'peer_due', key: 'peerDue', width: 20 },
+        { header: 'peer_must_grade', key: 'mustGrade', width: 15 },
+        { header: 'peer_graded_by', key: 'mustBeGradedBy', width: 15 },
+        { header: 'self_start', key: 'selfStart', width: 20 },
+        { header: 'self_due', key: 'selfDue', width: 20 },
+        { header: 'text_response', key: 'textResponse', width: 14 },
+        { header: 'file_upload', key: 'fileUpload', width: 12 },
+        { header: 'file_upload_type', key: 'fileUploadType', width: 16 },
+        { header: 'allowed_extensions', key: 'allowedExtensions', width: 20 }
+    );
     ws6.columns = oraCols;
 
     for (const [id, block] of courseData.openResponseBlocks) {
+        const peer = block.steps.includes('peer');
         const row = {
             blockId: block.blockId,
             title: block.title,
-            prompt: block.prompt,
-            assessmentType: block.assessmentType
+            steps: block.steps.join('; '),
+            submissionStart: block.submissionStart,
+            submissionDue: block.submissionDue,
+            peerStart: block.peerStart,
+            peerDue: block.peerDue,
+            mustGrade: peer ? block.mustGrade : '',
+            mustBeGradedBy: peer ? block.mustBeGradedBy : '',
+            selfStart: block.selfStart,
+            selfDue: block.selfDue,
+            textResponse: block.textResponse,
+            fileUpload: block.fileUpload,
+            fileUploadType: block.fileUploadType,
+            allowedExtensions: block.allowedExtensions.join('; ')
         };
+        block.prompts.forEach((prompt, i) => { row[`prompt_${i + 1}`] = prompt; });
         for (let i = 0; i < maxCriteria; i++) {
             if (i < block.criteria.length) {
                 const crit = block.criteria[i];
                 row[`crit_${i + 1}_name`] = crit.name;
+                row[`crit_${i + 1}_prompt`] = crit.prompt;
                 row[`crit_${i + 1}_opts`] = crit.options.map(o => `${o.label}=${o.points}`).join(';');
+                if (crit.options.some(o => o.explanation)) {
+                    row[`crit_${i + 1}_expl`] = crit.options.map(o => o.explanation).join('; ');
+                }
             }
         }
         ws6.addRow(row);
     }
 
+    // --- Sheet 7: Grading ---
+    const ws7 = wb.addWorksheet('Grading');
+    ws7.columns = [
+        { header: 'assignment_type', key: 'type', width: 20 },
+        { header: 'short_label', key: 'shortLabel', width: 12 },
+        { header: 'weight', key: 'weight', width: 10 },
+        { header: 'min_count', key: 'minCount', width: 10 },
+        { header: 'drop_count', key: 'dropCount', width: 10 },
+        { header: 'grade', key: 'grade', width: 10 },
+        { header: 'cutoff', key: 'cutoff', width: 10 }
+    ];
+    const { graders, cutoffs } = courseData.grading;
+    for (let i = 0; i < Math.max(graders.length, cutoffs.length); i++) {
+        ws7.addRow({ ...graders[i], ...cutoffs[i] });
+    }
+
+    // --- Sheet 8: Discussions ---
+    const ws8 = wb.addWorksheet('Discussions');
+    ws8.columns = [
+        { header: 'block_id', key: 'blockId', width: 35 },
+        { header: 'title', key: 'title', width: 25 },
+        { header: 'discussion_category', key: 'discussionCategory', width: 25 },
+        { header: 'discussion_target', key: 'discussionTarget', width: 25 },
+        { header: 'discussion_id', key: 'discussionId', width: 35 }
+    ];
+    for (const [id, block] of courseData.discussionBlocks) {
+        ws8.addRow({
+            blockId: block.blockId,
+            title: block.title,
+            discussionCategory: block.discussionCategory,
+            discussionTarget: block.discussionTarget,
+            discussionId: block.discussionId
+        });
+    }
+
+    // --- Sheet 9: LTI ---
+    const ws9 = wb.addWorksheet('LTI');
+    ws9.columns = [
+        { header: 'block_id', key: 'blockId', width: 35 },
+        { header: 'title', key: 'title', width: 25 },
+        { header: 'lti_id', key: 'ltiId', width: 20 },
+        { header: 'launch_url', key: 'launchUrl', width: 45 },
+        { header: 'custom_parameters', key: 'customParameters', width: 35 },
+        { header: 'has_score', key: 'hasScore', width: 10 },
+        { header: 'weight', key: 'weight', width: 10 },
+        { header: 'launch_target', key: 'launchTarget', width: 15 }
+    ];
+    for (const [id, block] of courseData.ltiBlocks) {
+        ws9.addRow({
+            blockId: block.blockId,
+            title: block.title,
+            ltiId: block.ltiId,
+            launchUrl: block.launchUrl,
+            customParameters: block.customParameters.join('; '),
+            hasScore: block.hasScore ? 'Yes' : 'No',
+            weight: block.weight || '',
+            launchTarget: block.launchTarget
+        });
+    }
+
+    // --- Sheet 10: Libraries ---
+    const ws10 = wb.addWorksheet('Libraries');
+    ws10.columns = [
+        { header: 'block_id', key: 'blockId', width: 35 },
+        { header: 'title', key: 'title', width: 25 },
+        { header: 'source_library_id', key: 'sourceLibraryId', width: 35 },
+        { header: 'max_count', key: 'maxCount', width: 10 },
+        { header: 'capa_type', key: 'capaType', width: 25 },
+        { header: 'problem_ids', key: 'problemIds', width: 50 }
+    ];
+    for (const [id, block] of courseData.libraryBlocks) {
+        ws10.addRow({
+            blockId: block.blockId,
+            title: block.title,
+            sourceLibraryId: block.sourceLibraryId,
+            maxCount: block.maxCount,
+            capaType: block.capaType,
+            problemIds: block.problemIds.join('; ')
+        });
+    }
+
+    // --- Sheet 11: Polls ---
+    // Option columns go up to the longest poll (at least four); option keys
+    // are only written when they aren't the column letters.
+    const pollLetters = optionLetters([...courseData.pollBlocks.values()].map(p => p.answers.length));
+    const ws11 = wb.addWorksheet('Polls');
+    ws11.columns = [
+        { header: 'block_id', key: 'blockId', width: 35 },
+        { header: 'title', key: 'title', width: 20 },
+        { header: 'question', key: 'question', width: 40 },
+        ...optionColumns('answer', pollLetters),
+        { header: 'answer_keys', key: 'answerKeys', width: 15 },
+        { header: 'feedback', key: 'feedback', width: 30 },
+        { header: 'private_results', key: 'privateResults', width: 15 },
+        { header: 'max_submissions', key: 'maxSubmissions', width: 15 }
+    ];
+    for (const [id, block] of courseData.pollBlocks) {
+        ws11.addRow({
+            blockId: block.blockId,
+            title: block.title,
+            question: block.question,
+            ...optionCells('answer', block.answers),
+            answerKeys: customKeys(block.answers),
+            feedback: block.feedback,
+            privateResults: block.privateResults ? 'Yes' : 'No',
+            maxSubmissions: block.maxSubmissions
+        });
+    }
+
+    // --- Sheet 12: Surveys ---
+    const surveyLetters = optionLetters([...courseData.surveyBlocks.values()].map(s => s.questions.length));
+    const ws12 = wb.addWorksheet('Surveys');
+    ws12.columns = [
+        { header: 'block_id', key: 'blockId', width: 35 },
+        { header: 'title', key: 'title', width: 20 },
+        ...optionColumns('question', surveyLetters),
+        { header: 'question_keys', key: 'questionKeys', width: 15 },
+        { header: 'answers', key: 'answers', width: 30 },
+        { header: 'answer_keys', key: 'answerKeys', width: 15 },
+        { header: 'feedback', key: 'feedback', width: 30 },
+        { header: 'private_results', key: 'privateResults', width: 15 },
+        { header: 'max_submissions', key: 'maxSubmissions', width: 15 }
+    ];
+    for (const [id, block] of courseData.surveyBlocks) {
+        ws12.addRow({
+            blockId: block.blockId,
+            title: block.title,
+            ...optionCells('question', block.questions),
+            questionKeys: customKeys(block.questions),
+            answers: block.answers.map(a => a.label).join('; '),
+            answerKeys: customKeys(block.answers),
+            feedback: block.feedback,
+            privateResults: block.privateResults ? 'Yes' : 'No',
+            maxSubmissions: block.maxSubmissions
+        });
+    }
+
+    // --- Sheets 13–15: Drag and Drop, its Zones and Items ---
+    const ws13 = wb.addWorksheet('Drag and Drop');
+    ws13.columns = [
+        { header: 'block_id', key: 'blockId', width: 35 },
+        { header: 'title', key: 'title', width: 20 },
+        { header: 'question_text', key: 'questionText', width: 40 },
+        { header: 'mode', key: 'mode', width: 12 },
+        { header: 'max_attempts', key: 'maxAttempts', width: 12 },
+        { header: 'weight', key: 'weight', width: 10 },
+        { header: 'background_image', key: 'targetImg', width: 35 },
+        { header: 'background_description', key: 'targetImgDescription', width: 35 },
+        { header: 'show_zone_labels', key: 'displayLabels', width: 15 },
+        { header: 'show_zone_borders', key: 'displayBorders', width: 15 },
+        { header: 'intro_feedback', key: 'feedbackStart', width: 30 },
+        { header: 'final_feedback', key: 'feedbackFinish', width: 30 }
+    ];
+    const ws14 = wb.addWorksheet('Drag and Drop Zones');
+    ws14.columns = [
+        { header: 'block_id', key: 'blockId', width: 35 },
+        { header: 'zone_id', key: 'uid', width: 15 },
+        { header: 'title', key: 'title', width: 20 },
+        { header: 'description', key: 'description', width: 30 },
+        { header: 'x', key: 'x', width: 8 },
+        { header: 'y', key: 'y', width: 8 },
+        { header: 'width', key: 'width', width: 8 },
+        { header: 'height', key: 'height', width: 8 },
+        { header: 'align', key: 'align', width: 10 }
+    ];
+    const ws15 = wb.addWorksheet('Drag and Drop Items');
+    ws15.columns = [
+        { header: 'block_id', key: 'blockId', width: 35 },
+        { header: 'text', key: 'text', width: 25 },
+        { header: 'image_url', key: 'imageUrl', width: 35 },
+        { header: 'image_description', key: 'imageDescription', width: 25 },
+        { header: 'zones', key: 'zones', width: 20 },
+        { header: 'correct_feedback', key: 'feedbackCorrect', width: 30 },
+        { header: 'incorrect_feedback', key: 'feedbackIncorrect', width: 30 }
+    ];
+    for (const [id, block] of courseData.dragDropBlocks) {
+        ws13.addRow({
+            ...block,
+            displayLabels: block.displayLabels ? 'Yes' : 'No',
+            displayBorders: block.displayBorders ? 'Yes' : 'No'
+        });
+        for (const zone of block.zones) {
+            ws14.addRow({ blockId: block.blockId, ...zone });
+        }
+        for (const item of block.items) {
+            ws15.addRow({ blockId: block.blockId, ...item, zones: item.zones.join('; ') });
+        }
+    }
+
+    // --- Sheet 16: Raw Components ---
+    const ws16 = wb.addWorksheet('Raw Components');
+    ws16.columns = [
+        { header: 'block_id', key: 'blockId', width: 35 },
+        { header: 'file', key: 'file', width: 35 },
+        { header: 'content', key: 'content', width: 80 }
+    ];
+    for (const [id, block] of courseData.rawBlocks) {
+        ws16.addRow({ blockId: block.blockId, file: '', content: block.xml });
+        for (const [path, content] of block.files) {
+            ws16.addRow({ blockId: block.blockId, file: path, content });
+        }
+    }
+
     // Generate the workbook as a blob
     const buffer = await wb.xlsx.writeBuffer();
     return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
 }
+
+// --- Helpers ---
+
+const OPTION_LETTERS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'];
+
+/**
+ * Column letters for poll/survey options: enough for the longest block.
+ */
+function optionLetters(counts) {
+    return OPTION_LETTERS.slice(0, Math.max(4, ...counts));
+}
+
+/**
+ * <prefix>_<letter>, then image_<letter> and image_alt_<letter> columns.
+ */
+function optionColumns(prefix, letters) {
+    return [
+        ...letters.map(l => ({ header: `${prefix}_${l}`, key: `${prefix}_${l}`, width: 20 })),
+        ...letters.map(l => ({ header: `image_${l}`, key: `image_${l}`, width: 30 })),
+        ...letters.map(l => ({ header: `image_alt_${l}`, key: `image_alt_${l}`, width: 20 }))
+    ];
+}
+
+function optionCells(prefix, options) {
+    const cells = {};
+    options.forEach((option, i) => {
+        const letter = OPTION_LETTERS[i];
+        cells[`${prefix}_${letter}`] = option.label;
+        cells[`image_${letter}`] = option.img;
+        cells[`image_alt_${letter}`] = option.imgAlt;
+    });
+    return cells;
+}
+
+/**
+ * "R; G; B" when the option keys differ from their column letters, else ''.
+ */
+function customKeys(options) {
+    const keys = options.map(o => o.key);
+    return keys.every((key, i) => key === OPTION_LETTERS[i].toUpperCase()) ? '' : keys.join('; ');
+}
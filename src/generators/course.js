@@ -1,15 +1,19 @@
 /**
  * Course-level OLX generator.
- * Produces: course.xml, course/{run}.xml, policies/{run}/policy.json, policies/{run}/grading_policy.json
+ * Produces: course.xml, course/{run}.xml, policies/{run}/policy.json, policies/{run}/grading_policy.json,
+ * and about/overview.html and about/short_description.html when set (Studio
+ * reads the About page from there, not from the policy).
  */
-import { escapeXml, formatEdxDate } from '../utils.js';
+import { escapeXml, xmlAttr, formatEdxDate, textToHtml } from '../utils.js';
+import { COURSE_TABS } from '../model.js';
 
 /**
  * @param {import('../model.js').CourseInfo} info
  * @param {Array} chapters - hierarchy from buildHierarchy
+ * @param {import('../model.js').GradingPolicy} grading
  * @returns {Map<string, string>} filePath → content
  */
-export function generateCourse(info, chapters) {
+export function generateCourse(info, chapters, grading) {
     const files = new Map();
     const run = info.run || 'course_run';
 
@@ -23,7 +27,14 @@ export function generateCourse(info, chapters) {
     const startAttr = info.startDate ? ` start="${escapeXml(formatEdxDate(info.startDate))}"` : '';
     const endAttr = info.endDate ? ` end="${escapeXml(formatEdxDate(info.endDate))}"` : '';
 
-    let courseXml = `<course display_name="${escapeXml(info.courseName)}" language="${escapeXml(info.language)}"${selfPaced}${startAttr}${endAttr}>\n`;
+    let courseXml = `<course display_name="${escapeXml(info.courseName)}" language="${escapeXml(info.language)}"${selfPaced}${startAttr}${endAttr}`;
+    courseXml += xmlAttr('enrollment_start', formatEdxDate(info.enrollmentStart));
+    courseXml += xmlAttr('enrollment_end', formatEdxDate(info.enrollmentEnd));
+    courseXml += xmlAttr('certificate_available_date', formatEdxDate(info.certificateDate));
+    courseXml += xmlAttr('course_image', info.courseImage);
+    if (info.advancedModules.length > 0) courseXml += xmlAttr('advanced_modules', JSON.stringify(info.advancedModules));
+    if (info.invitationOnly) courseXml += ` invitation_only="true"`;
+    courseXml += `>\n`;
     for (const ch of chapters) {
         courseXml += `  <chapter url_name="${escapeXml(ch.id)}"/>\n`;
     }
@@ -38,23 +49,40 @@ export function generateCourse(info, chapters) {
             self_paced: info.selfPaced,
             ...(info.startDate && { start: formatEdxDate(info.startDate) }),
             ...(info.endDate && { end: formatEdxDate(info.endDate) }),
-            tabs: [
-                { course_staff_only: false, name: "Course", type: "courseware" },
-                { course_staff_only: false, name: "Progress", type: "progress" },
-                { course_staff_only: false, name: "Dates", type: "dates" },
-                { course_staff_only: false, name: "Discussion", type: "discussion" }
-            ]
+            ...(info.enrollmentStart && { enrollment_start: formatEdxDate(info.enrollmentStart) }),
+            ...(info.enrollmentEnd && { enrollment_end: formatEdxDate(info.enrollmentEnd) }),
+            // Without end_with_date, Studio ignores the date and issues certificates on passing
+            ...(info.certificateDate && {
+                certificate_available_date: formatEdxDate(info.certificateDate),
+                certificates_display_behavior: 'end_with_date'
+            }),
+            ...(info.courseImage && { course_image: info.courseImage }),
+            ...(info.advancedModules.length > 0 && { advanced_modules: info.advancedModules }),
+            ...(info.prerequisiteCourses.length > 0 && { pre_requisite_courses: info.prerequisiteCourses }),
+            ...(info.invitationOnly && { invitation_only: true }),
+            tabs: info.tabs.map(type => ({
+                course_staff_only: false,
+                name: COURSE_TABS[type],
+                type,
+                ...(info.hiddenTabs.includes(type) && { is_hidden: true })
+            }))
         }
     };
     files.set(`policies/${run}/policy.json`, JSON.stringify(policy, null, 4) + '\n');
 
+    if (info.overview) files.set('about/overview.html', textToHtml(info.overview) + '\n');
+    if (info.shortDescription) files.set('about/short_description.html', info.shortDescription + '\n');
+
     // policies/{run}/grading_policy.json
     const gradingPolicy = {
-        GRADER: [
-            { drop_count: 0, min_count: 1, short_label: "HW", type: "Homework", weight: 0.5 },
-            { drop_count: 0, min_count: 1, short_label: "Final", type: "Final Exam", weight: 0.5 }
-        ],
-        GRADE_CUTOFFS: { Pass: 0.5 }
+        GRADER: grading.graders.map(g => ({
+            drop_count: g.dropCount,
+            min_count: g.minCount,
+            short_label: g.shortLabel,
+            type: g.type,
+            weight: g.weight
+        })),
+        GRADE_CUTOFFS: Object.fromEntries(grading.cutoffs.map(c => [c.grade, c.cutoff]))
     };
     files.set(`policies/${run}/grading_policy.json`, JSON.stringify(gradingPolicy, null, 4) + '\n');
 
@@ -0,0 +1,24 @@
+/**
+ * Discussion block OLX generator.
+ * Produces: discussion/{blockId}.xml for each inline forum topic.
+ */
+import { escapeXml } from '../utils.js';
+
+/**
+ * @param {Map<string, import('../model.js').DiscussionBlock>} discussionBlocks
+ * @returns {Map<string, string>} filePath → content
+ */
+export function generateDiscussionBlocks(discussionBlocks) {
+    const files = new Map();
+
+    for (const [blockId, block] of discussionBlocks) {
+        let xml = `<discussion url_name="${escapeXml(blockId)}" display_name="${escapeXml(block.title)}"`;
+        xml += ` discussion_category="${escapeXml(block.discussionCategory)}"`;
+        xml += ` discussion_target="${escapeXml(block.discussionTarget)}"`;
+        xml += ` discussion_id="${escapeXml(block.discussionId)}"/>\n`;
+
+        files.set(`discussion/${blockId}.xml`, xml);
+    }
+
+    return files;
+}
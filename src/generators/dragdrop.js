@@ -0,0 +1,59 @@
+/**
+ * Drag-and-drop OLX generator (the drag-and-drop-v2 XBlock).
+ * Produces: drag-and-drop-v2/{blockId}.xml for each exercise.
+ * Zones, items and feedback go in the XBlock's JSON "data" attribute.
+ */
+import { escapeXml, xmlAttr } from '../utils.js';
+
+/**
+ * @param {Map<string, import('../model.js').DragDropBlock>} dragDropBlocks
+ * @returns {Map<string, string>} filePath → content
+ */
+export function generateDragDropBlocks(dragDropBlocks) {
+    const files = new Map();
+
+    for (const [blockId, block] of dragDropBlocks) {
+        let xml = `<drag-and-drop-v2 url_name="${escapeXml(blockId)}" display_name="${escapeXml(block.title)}"`;
+        xml += ` mode="${escapeXml(block.mode)}"`;
+        xml += xmlAttr('max_attempts', block.maxAttempts);
+        xml += xmlAttr('weight', block.weight);
+        xml += xmlAttr('question_text', block.questionText);
+        xml += xmlAttr('data', JSON.stringify(dataJson(block)));
+        xml += `/>\n`;
+
+        files.set(`drag-and-drop-v2/${blockId}.xml`, xml);
+    }
+
+    return files;
+}
+
+/**
+ * The XBlock's "data" field.
+ */
+function dataJson(block) {
+    return {
+        zones: block.zones.map(zone => ({
+            uid: zone.uid,
+            title: zone.title,
+            description: zone.description,
+            x: zone.x,
+            y: zone.y,
+            width: zone.width,
+            height: zone.height,
+            align: zone.align
+        })),
+        items: block.items.map((item, id) => ({
+            id,
+            displayName: item.text,
+            imageURL: item.imageUrl,
+            imageDescription: item.imageDescription,
+            zones: item.zones,
+            feedback: { correct: item.feedbackCorrect, incorrect: item.feedbackIncorrect }
+        })),
+        feedback: { start: block.feedbackStart, finish: block.feedbackFinish },
+        targetImg: block.targetImg,
+        targetImgDescription: block.targetImgDescription,
+        displayLabels: block.displayLabels,
+        displayBorders: block.displayBorders
+    };
+}
@@ -0,0 +1,35 @@
+/**
+ * Library content OLX generator.
+ * Produces: library_content/{blockId}.xml for each randomized problem bank.
+ * The listed problems are written as children; their own files come from
+ * the problem generator.
+ */
+import { escapeXml } from '../utils.js';
+
+/**
+ * @param {Map<string, import('../model.js').LibraryBlock>} libraryBlocks
+ * @returns {Map<string, string>} filePath → content
+ */
+export function generateLibraryBlocks(libraryBlocks) {
+    const files = new Map();
+
+    for (const [blockId, block] of libraryBlocks) {
+        let xml = `<library_content url_name="${escapeXml(blockId)}" display_name="${escapeXml(block.title)}"`;
+        xml += ` source_library_id="${escapeXml(block.sourceLibraryId)}"`;
+        xml += ` max_count="${block.maxCount}" capa_type="${escapeXml(block.capaType)}" mode="random"`;
+
+        if (block.problemIds.length === 0) {
+            xml += `/>\n`;
+        } else {
+            xml += `>\n`;
+            for (const problemId of block.problemIds) {
+                xml += `  <problem url_name="${escapeXml(problemId)}"/>\n`;
+            }
+            xml += `</library_content>\n`;
+        }
+
+        files.set(`library_content/${blockId}.xml`, xml);
+    }
+
+    return files;
+}
@@ -0,0 +1,33 @@
+/**
+ * LTI component OLX generator.
+ * Produces: lti_consumer/{blockId}.xml for each external tool.
+ * The LTI key and secret are not part of the OLX; Studio looks them up
+ * from the course's LTI passports by lti_id.
+ */
+import { escapeXml, xmlAttr } from '../utils.js';
+
+/**
+ * @param {Map<string, import('../model.js').LtiBlock>} ltiBlocks
+ * @returns {Map<string, string>} filePath → content
+ */
+export function generateLtiBlocks(ltiBlocks) {
+    const files = new Map();
+
+    for (const [blockId, block] of ltiBlocks) {
+        let xml = `<lti_consumer url_name="${escapeXml(blockId)}" display_name="${escapeXml(block.title)}"`;
+        xml += ` lti_version="lti_1p1"`;
+        xml += xmlAttr('lti_id', block.ltiId);
+        xml += ` launch_url="${escapeXml(block.launchUrl)}"`;
+        if (block.customParameters.length > 0) {
+            xml += xmlAttr('custom_parameters', JSON.stringify(block.customParameters));
+        }
+        xml += ` launch_target="${escapeXml(block.launchTarget)}"`;
+        xml += ` has_score="${block.hasScore}"`;
+        if (block.hasScore) xml += xmlAttr('weight', block.weight);
+        xml += `/>\n`;
+
+        files.set(`lti_consumer/${blockId}.xml`, xml);
+    }
+
+    return files;
+}
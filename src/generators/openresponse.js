@@ -1,8 +1,10 @@
 /**
  * Open Response Assessment OLX generator.
  * Produces: openassessment/{blockId}.xml for each ORA block.
+ * Dates left blank are left out, so ORA's own defaults (always open) apply.
+ * Prompts are HTML (prompts_type="html"), escaped into their <description>.
  */
-import { escapeXml } from '../utils.js';
+import { escapeXml, xmlAttr, formatEdxDate } from '../utils.js';
 
 /**
  * @param {Map<string, import('../model.js').OpenResponseBlock>} oraBlocks
@@ -13,15 +15,25 @@ export function generateOpenResponseBlocks(oraBlocks) {
 
     for (const [blockId, block] of oraBlocks) {
         let xml = `<openassessment url_name="${escapeXml(blockId)}" display_name="${escapeXml(block.title)}"`;
-        xml += ` submission_due="2099-01-01T00:00:00Z" submission_start="2000-01-01T00:00:00Z">\n`;
+        xml += xmlAttr('submission_start', formatEdxDate(block.submissionStart));
+        xml += xmlAttr('submission_due', formatEdxDate(block.submissionDue));
+        xml += ` text_response="${block.textResponse === 'none' ? '' : block.textResponse}"`;
+        xml += ` file_upload_response="${block.fileUpload === 'none' ? '' : block.fileUpload}"`;
+        xml += xmlAttr('file_upload_type', block.fileUploadType);
+        xml += xmlAttr('white_listed_file_types', block.allowedExtensions.join(','));
+        xml += ` prompts_type="html">\n`;
 
         // Title
         xml += `  <title>${escapeXml(block.title)}</title>\n`;
 
-        // Prompt
-        xml += `  <prompt>\n`;
-        xml += `    <description>${escapeXml(block.prompt)}</description>\n`;
-        xml += `  </prompt>\n`;
+        // Prompts
+        xml += `  <prompts>\n`;
+        for (const prompt of block.prompts.length > 0 ? block.prompts : ['']) {
+            xml += `    <prompt>\n`;
+            xml += `      <description>${escapeXml(prompt)}</description>\n`;
+            xml += `    </prompt>\n`;
+        }
+        xml += `  </prompts>\n`;
 
         // Rubric
         xml += `  <rubric>\n`;
@@ -29,12 +41,12 @@ export function generateOpenResponseBlocks(oraBlocks) {
             xml += `    <criterion>\n`;
             xml += `      <name>${escapeXml(criterion.name)}</name>\n`;
             xml += `      <label>${escapeXml(criterion.name)}</label>\n`;
-            xml += `      <prompt>${escapeXml(criterion.name)}</prompt>\n`;
+            xml += `      <prompt>${escapeXml(criterion.prompt || criterion.name)}</prompt>\n`;
             for (const opt of criterion.options) {
                 xml += `      <option points="${opt.points}">\n`;
                 xml += `        <name>${escapeXml(opt.label)}</name>\n`;
                 xml += `        <label>${escapeXml(opt.label)}</label>\n`;
-                xml += `        <explanation>${escapeXml(opt.label)} level performance</explanation>\n`;
+                if (opt.explanation) xml += `        <explanation>${escapeXml(opt.explanation)}</explanation>\n`;
                 xml += `      </option>\n`;
             }
             xml += `    </criterion>\n`;
@@ -43,13 +55,14 @@ export function generateOpenResponseBlocks(oraBlocks) {
 
         // Assessment steps
         xml += `  <assessments>\n`;
-        if (block.assessmentType === 'peer') {
-            xml += `    <assessment name="peer-assessment" must_grade="5" must_be_graded_by="3"/>\n`;
+        if (block.steps.includes('peer')) {
+            xml += `    <assessment name="peer-assessment" must_grade="${block.mustGrade}" must_be_graded_by="${block.mustBeGradedBy}"`;
+            xml += `${stepDates(block.peerStart, block.peerDue)}/>\n`;
         }
-        if (block.assessmentType === 'self' || block.assessmentType === 'peer') {
-            xml += `    <assessment name="self-assessment"/>\n`;
+        if (block.steps.includes('self')) {
+            xml += `    <assessment name="self-assessment"${stepDates(block.selfStart, block.selfDue)}/>\n`;
         }
-        if (block.assessmentType === 'staff') {
+        if (block.steps.includes('staff')) {
             xml += `    <assessment name="staff-assessment" required="true"/>\n`;
         }
         xml += `  </assessments>\n`;
@@ -61,3 +74,7 @@ export function generateOpenResponseBlocks(oraBlocks) {
 
     return files;
 }
+
+function stepDates(start, due) {
+    return xmlAttr('start', formatEdxDate(start)) + xmlAttr('due', formatEdxDate(due));
+}
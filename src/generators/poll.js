@@ -0,0 +1,51 @@
+/**
+ * Poll and survey OLX generators (the xblock-poll XBlocks).
+ * Produces: poll/{blockId}.xml and survey/{blockId}.xml.
+ * Options are JSON attributes in the XBlock's own format:
+ * [[key, {label, img, img_alt}], …].
+ */
+import { escapeXml, xmlAttr } from '../utils.js';
+
+/**
+ * @param {Map<string, import('../model.js').PollBlock>} pollBlocks
+ * @returns {Map<string, string>} filePath → content
+ */
+export function generatePollBlocks(pollBlocks) {
+    const files = new Map();
+
+    for (const [blockId, block] of pollBlocks) {
+        let xml = `<poll url_name="${escapeXml(blockId)}" display_name="${escapeXml(block.title)}"`;
+        xml += ` question="${escapeXml(block.question)}"`;
+        xml += xmlAttr('answers', JSON.stringify(block.answers.map(optionJson)));
+        xml += xmlAttr('feedback', block.feedback);
+        xml += ` private_results="${block.privateResults}" max_submissions="${block.maxSubmissions}"/>\n`;
+
+        files.set(`poll/${blockId}.xml`, xml);
+    }
+
+    return files;
+}
+
+/**
+ * @param {Map<string, import('../model.js').SurveyBlock>} surveyBlocks
+ * @returns {Map<string, string>} filePath → content
+ */
+export function generateSurveyBlocks(surveyBlocks) {
+    const files = new Map();
+
+    for (const [blockId, block] of surveyBlocks) {
+        let xml = `<survey url_name="${escapeXml(blockId)}" display_name="${escapeXml(block.title)}"`;
+        xml += xmlAttr('questions', JSON.stringify(block.questions.map(optionJson)));
+        xml += xmlAttr('answers', JSON.stringify(block.answers.map(a => [a.key, a.label])));
+        xml += xmlAttr('feedback', block.feedback);
+        xml += ` private_results="${block.privateResults}" max_submissions="${block.maxSubmissions}"/>\n`;
+
+        files.set(`survey/${blockId}.xml`, xml);
+    }
+
+    return files;
+}
+
+function optionJson(option) {
+    return [option.key, { label: option.label, img: option.img || null, img_alt: option.imgAlt || null }];
+}
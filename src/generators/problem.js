@@ -1,8 +1,13 @@
 /**
- * Problem (multiple choice) OLX generator.
+ * Problem OLX generator.
  * Produces: problem/{blockId}.xml for each problem.
+ * Supports single/multi-select, dropdown, numerical and text-input problems;
+ * anything else (custom, formula or JS input responses…) comes as raw XML.
+ * Question text, choices, hints and explanations are plain text or HTML
+ * (checked to be well-formed by the parser); HTML is written as markup.
  */
-import { escapeXml } from '../utils.js';
+import { DOMParser } from '@xmldom/xmldom';
+import { escapeXml, xmlAttr, looksLikeHtml } from '../utils.js';
 
 /**
  * @param {Map<string, import('../model.js').ProblemBlock>} problemBlocks
@@ -12,52 +17,201 @@ export function generateProblemBlocks(problemBlocks) {
     const files = new Map();
 
     for (const [blockId, block] of problemBlocks) {
-        let xml = `<problem display_name="${escapeXml(block.title)}" showanswer="${escapeXml(block.showAnswer)}">\n`;
+        if (block.rawXml) {
+            files.set(`problem/${blockId}.xml`, `${block.rawXml}\n`);
+            continue;
+        }
 
-        // Determine if this is a single-select or multi-select problem
-        const correctCount = block.choices.filter(c => c.correct).length;
-        const isMultiSelect = block.isMultiSelect !== undefined ? block.isMultiSelect : (correctCount > 1);
+        let xml = `<problem display_name="${escapeXml(block.title)}" showanswer="${escapeXml(block.showAnswer)}"`;
+        xml += xmlAttr('weight', block.weight);
+        xml += xmlAttr('max_attempts', block.maxAttempts);
+        xml += xmlAttr('rerandomize', block.rerandomize);
+        if (block.showResetButton != null) xml += ` show_reset_button="${block.showResetButton}"`;
+        xml += `>\n`;
 
-        if (isMultiSelect) {
-            xml += `<choiceresponse>\n  <label>${escapeXml(block.questionText)}</label>\n  <checkboxgroup>\n`;
-        } else {
-            xml += `<multiplechoiceresponse>\n  <label>${escapeXml(block.questionText)}</label>\n  <choicegroup type="MultipleChoice">\n`;
+        switch (problemTypeOf(block)) {
+            case 'numerical':
+                xml += numericalResponseXml(block);
+                break;
+            case 'text-input':
+                xml += stringResponseXml(block);
+                break;
+            case 'dropdown':
+                xml += optionResponseXml(block);
+                break;
+            default:
+                xml += choiceResponseXml(block);
         }
 
-        for (const choice of block.choices) {
-            const correctAttr = choice.correct ? 'true' : 'false';
-            xml += `    <choice correct="${correctAttr}">${escapeXml(choice.text)}`;
-            if (choice.hint) {
-                xml += ` <choicehint>${escapeXml(choice.hint)}</choicehint>`;
-            }
-            xml += `\n</choice>\n`;
-        }
+        xml += demandHintXml(block);
+        xml += `</problem>\n`;
+
+        files.set(`problem/${blockId}.xml`, xml);
+    }
+
+    return files;
+}
+
+/**
+ * Resolve the problem type, inferring select problems from older data
+ * that only carries isMultiSelect / correct answer counts.
+ */
+function problemTypeOf(block) {
+    if (block.problemType) return block.problemType;
+    const correctCount = block.choices.filter(c => c.correct).length;
+    const isMultiSelect = block.isMultiSelect !== undefined ? block.isMultiSelect : (correctCount > 1);
+    return isMultiSelect ? 'multi-select' : 'single-select';
+}
+
+function choiceResponseXml(block) {
+    const isMultiSelect = problemTypeOf(block) === 'multi-select';
+    let xml = '';
 
-        if (isMultiSelect) {
-            xml += `  </checkboxgroup>\n`;
-        } else {
-            xml += `  </choicegroup>\n`;
+    if (isMultiSelect) {
+        xml += `<choiceresponse${xmlAttr('partial_credit', block.partialCredit)}>\n${stemXml(block)}  <checkboxgroup>\n`;
+    } else {
+        xml += `<multiplechoiceresponse${xmlAttr('partial_credit', block.partialCredit)}>\n${stemXml(block)}  <choicegroup type="MultipleChoice">\n`;
+    }
+
+    for (const choice of block.choices) {
+        // With points, a wrong choice can still earn part of the score
+        const partial = !choice.correct && block.partialCredit === 'points' && choice.pointValue;
+        const correctAttr = choice.correct ? 'true' : partial ? 'partial' : 'false';
+        xml += `    <choice correct="${correctAttr}"${partial ? xmlAttr('point_value', choice.pointValue) : ''}>${content(choice.text)}`;
+        if (choice.hint) {
+            xml += ` <choicehint>${content(choice.hint)}</choicehint>`;
         }
+        xml += `</choice>\n`;
+    }
 
-        if (block.explanation) {
-            xml += `<solution>\n`;
-            xml += `<div class="detailed-solution">\n`;
-            xml += `<p>Explanation</p>\n`;
-            xml += `<p>${escapeXml(block.explanation)}</p>\n`;
-            xml += `</div>\n`;
-            xml += `</solution>\n`;
+    if (isMultiSelect) {
+        for (const compound of block.compoundHints || []) {
+            xml += `    <compoundhint value="${compound.choices.join(' ')}">${content(compound.hint)}</compoundhint>\n`;
         }
+        xml += `  </checkboxgroup>\n`;
+    } else {
+        xml += `  </choicegroup>\n`;
+    }
+
+    xml += solutionXml(block);
+
+    if (isMultiSelect) {
+        xml += `</choiceresponse>\n`;
+    } else {
+        xml += `</multiplechoiceresponse>\n`;
+    }
 
-        if (isMultiSelect) {
-            xml += `</choiceresponse>\n`;
-        } else {
-            xml += `</multiplechoiceresponse>\n`;
+    return xml;
+}
+
+function optionResponseXml(block) {
+    let xml = `<optionresponse>\n${stemXml(block)}  <optioninput>\n`;
+
+    for (const choice of block.choices) {
+        const correctAttr = choice.correct ? 'True' : 'False';
+        xml += `    <option correct="${correctAttr}">${content(choice.text)}`;
+        if (choice.hint) {
+            xml += ` <optionhint>${content(choice.hint)}</optionhint>`;
         }
+        xml += `</option>\n`;
+    }
 
-        xml += `</problem>\n`;
+    xml += `  </optioninput>\n`;
+    xml += solutionXml(block);
+    xml += `</optionresponse>\n`;
+    return xml;
+}
 
-        files.set(`problem/${blockId}.xml`, xml);
+function numericalResponseXml(block) {
+    let xml = `<numericalresponse answer="${escapeXml(block.answer)}">\n`;
+    xml += stemXml(block);
+    if (block.tolerance) {
+        xml += `  <responseparam type="tolerance" default="${escapeXml(block.tolerance)}"/>\n`;
     }
+    xml += `  <formulaequationinput/>\n`;
+    xml += solutionXml(block);
+    xml += `</numericalresponse>\n`;
+    return xml;
+}
 
-    return files;
+function stringResponseXml(block) {
+    const type = block.caseSensitive ? 'cs' : 'ci';
+    let xml = `<stringresponse answer="${escapeXml(block.answer)}" type="${type}">\n`;
+    xml += stemXml(block);
+    for (const answer of block.additionalAnswers || []) {
+        xml += `  <additional_answer answer="${escapeXml(answer)}"/>\n`;
+    }
+    xml += `  <textline size="20"/>\n`;
+    xml += solutionXml(block);
+    xml += `</stringresponse>\n`;
+    return xml;
+}
+
+/**
+ * The question: a <label>, or for HTML with paragraphs, images or its own
+ * <label>, the markup itself ahead of the answer input.
+ */
+function stemXml(block) {
+    if (looksLikeHtml(block.questionText) && BLOCK_ELEMENT.test(block.questionText)) {
+        return `${block.questionText}\n`;
+    }
+    return `  <label>${content(block.questionText)}</label>\n`;
+}
+
+const BLOCK_ELEMENT = /<(p|div|img|pre|ul|ol|table|blockquote|figure|h[1-6]|label|description)\b/i;
+
+function solutionXml(block) {
+    if (!block.explanation) return '';
+    let xml = `<solution>\n`;
+    if (isDetailedSolution(block.explanation)) {
+        // Imported solution markup, kept as it was
+        xml += `${block.explanation}\n`;
+    } else {
+        xml += `<div class="detailed-solution">\n`;
+        xml += `<p>Explanation</p>\n`;
+        xml += looksLikeHtml(block.explanation) && BLOCK_ELEMENT.test(block.explanation)
+            ? `${block.explanation}\n`
+            : `<p>${content(block.explanation)}</p>\n`;
+        xml += `</div>\n`;
+    }
+    xml += `</solution>\n`;
+    return xml;
+}
+
+/**
+ * Whether an explanation is a whole <div class="detailed-solution">, as
+ * imported from Studio, rather than text or markup that mentions one.
+ */
+function isDetailedSolution(explanation) {
+    if (!looksLikeHtml(explanation)) return false;
+    let root = null;
+    try {
+        root = new DOMParser({ onError: () => {} }).parseFromString(`<div>${explanation}</div>`, 'text/xml').documentElement;
+    } catch (e) {
+        return false;
+    }
+    const nodes = Array.from(root ? root.childNodes : [])
+        .filter(node => node.nodeType === ELEMENT_NODE || (node.nodeType === TEXT_NODE && node.data.trim()));
+    return nodes.length === 1 && nodes[0].nodeType === ELEMENT_NODE && nodes[0].tagName === 'div'
+        && (nodes[0].getAttribute('class') || '').split(/\s+/).includes('detailed-solution');
+}
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+/**
+ * Hints learners reveal one at a time, after the response.
+ */
+function demandHintXml(block) {
+    if (!block.demandHints || block.demandHints.length === 0) return '';
+    let xml = `<demandhint>\n`;
+    for (const hint of block.demandHints) {
+        xml += `  <hint>${content(hint)}</hint>\n`;
+    }
+    xml += `</demandhint>\n`;
+    return xml;
+}
+
+function content(text) {
+    return looksLikeHtml(text) ? text : escapeXml(text);
 }
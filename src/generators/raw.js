@@ -0,0 +1,22 @@
+/**
+ * Raw component OLX generator.
+ * Produces: {tag}/{blockId}.xml for each raw component, plus the other
+ * files it owns, all exactly as they were imported.
+ */
+
+/**
+ * @param {Map<string, import('../model.js').RawBlock>} rawBlocks
+ * @returns {Map<string, string>} filePath → content
+ */
+export function generateRawBlocks(rawBlocks) {
+    const files = new Map();
+
+    for (const [blockId, block] of rawBlocks) {
+        files.set(`${block.tag}/${blockId}.xml`, `${block.xml}\n`);
+        for (const [path, content] of block.files) {
+            files.set(path, content);
+        }
+    }
+
+    return files;
+}
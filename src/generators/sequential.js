@@ -2,7 +2,7 @@
  * Sequential (subsection) OLX generator.
  * Produces: sequential/{id}.xml for each subsection.
  */
-import { escapeXml } from '../utils.js';
+import { escapeXml, formatEdxDate, xmlAttr } from '../utils.js';
 
 /**
  * @param {Array} chapters - hierarchy from buildHierarchy
@@ -13,7 +13,11 @@ export function generateSequentials(chapters) {
 
     for (const ch of chapters) {
         for (const seq of ch.sequentials) {
-            let xml = `<sequential display_name="${escapeXml(seq.name)}">\n`;
+            let xml = `<sequential display_name="${escapeXml(seq.name)}"`;
+            if (seq.graded) xml += ` graded="true"`;
+            xml += xmlAttr('format', seq.format);
+            xml += xmlAttr('due', formatEdxDate(seq.due));
+            xml += `>\n`;
             for (const vert of seq.verticals) {
                 xml += `  <vertical url_name="${escapeXml(vert.id)}"/>\n`;
             }
@@ -0,0 +1,27 @@
+/**
+ * Static asset generator.
+ * Produces: static/{name} for each attached file (images, PDFs…), written
+ * as binary. Video transcripts are skipped — the video generator writes
+ * them, converted to SRT.
+ */
+
+/**
+ * @param {Map<string, Uint8Array>} assets - attached files by name
+ * @param {Map<string, import('../model.js').VideoBlock>} videoBlocks
+ * @returns {Map<string, Uint8Array>} filePath → content
+ */
+export function generateStaticFiles(assets, videoBlocks) {
+    const files = new Map();
+
+    const transcripts = new Set();
+    for (const block of videoBlocks.values()) {
+        for (const t of block.transcripts || []) transcripts.add(t.file);
+    }
+
+    for (const [name, content] of assets) {
+        if (transcripts.has(name)) continue;
+        files.set(`static/${name}`, content);
+    }
+
+    return files;
+}
@@ -1,7 +1,9 @@
 /**
  * Vertical (unit/page) OLX generator.
  * Produces: vertical/{id}.xml for each unit.
- * Each vertical references its child blocks (html, video, problem, openassessment).
+ * Each vertical references its child blocks (html, video, problem, openassessment,
+ * discussion, lti_consumer, library_content, poll, survey, drag-and-drop-v2), or a raw
+ * component by its own tag.
  */
 import { escapeXml } from '../utils.js';
 
@@ -12,14 +14,21 @@ const BLOCK_TYPE_TAG = {
     text: 'html',
     video: 'video',
     problem: 'problem',
-    openresponse: 'openassessment'
+    openresponse: 'openassessment',
+    discussion: 'discussion',
+    lti: 'lti_consumer',
+    library: 'library_content',
+    poll: 'poll',
+    survey: 'survey',
+    dragdrop: 'drag-and-drop-v2'
 };
 
 /**
  * @param {Array} chapters - hierarchy from buildHierarchy
+ * @param {Map<string, import('../model.js').RawBlock>} [rawBlocks]
  * @returns {Map<string, string>} filePath → content
  */
-export function generateVerticals(chapters) {
+export function generateVerticals(chapters, rawBlocks = new Map()) {
     const files = new Map();
 
     for (const ch of chapters) {
@@ -27,7 +36,11 @@ export function generateVerticals(chapters) {
             for (const vert of seq.verticals) {
                 let xml = `<vertical display_name="${escapeXml(vert.name)}">\n`;
                 for (const block of vert.blocks) {
-                    const tag = BLOCK_TYPE_TAG[block.type] || block.type;
+                    // A raw row without a component has been reported by the parser
+                    if (block.type === 'raw' && !rawBlocks.has(block.blockId)) continue;
+                    const tag = block.type === 'raw'
+                        ? rawBlocks.get(block.blockId).tag
+                        : BLOCK_TYPE_TAG[block.type] || block.type;
                     xml += `  <${tag} url_name="${escapeXml(block.blockId)}"/>\n`;
                 }
                 xml += `</vertical>\n`;
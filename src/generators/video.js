@@ -1,14 +1,17 @@
 /**
  * Video block OLX generator.
- * Produces: video/{blockId}.xml for each video.
+ * Produces: video/{blockId}.xml for each video, plus static/{name}.srt for
+ * each transcript. WebVTT transcripts are converted to SRT, the only caption
+ * format Studio accepts on import.
  */
 import { escapeXml } from '../utils.js';
 
 /**
  * @param {Map<string, import('../model.js').VideoBlock>} videoBlocks
+ * @param {Map<string, Uint8Array>} assets - attached files by name
  * @returns {Map<string, string>} filePath → content
  */
-export function generateVideoBlocks(videoBlocks) {
+export function generateVideoBlocks(videoBlocks, assets) {
     const files = new Map();
 
     for (const [blockId, block] of videoBlocks) {
@@ -31,10 +34,80 @@ export function generateVideoBlocks(videoBlocks) {
         attrs.push(`end_time="${escapeXml(block.endTime || '00:00:00')}"`);
         attrs.push(`edx_video_id=""`);
 
-        files.set(`video/${blockId}.xml`,
-            `<video ${attrs.join(' ')}/>\n`
-        );
+        // Transcripts: copy each file into static/ and reference it by language
+        const transcripts = {};
+        for (const { language, file } of block.transcripts || []) {
+            const content = assets.get(file);
+            if (!content) continue;
+            const text = new TextDecoder('utf-8').decode(content);
+            const srtName = file.replace(/\.(srt|vtt)$/i, '') + '.srt';
+            files.set(`static/${srtName}`, /\.vtt$/i.test(file) ? vttToSrt(text) : text);
+            transcripts[language] = srtName;
+        }
+
+        if (Object.keys(transcripts).length === 0) {
+            files.set(`video/${blockId}.xml`,
+                `<video ${attrs.join(' ')}/>\n`
+            );
+            continue;
+        }
+
+        attrs.push(`transcripts="${escapeXml(JSON.stringify(transcripts))}"`);
+        let xml = `<video ${attrs.join(' ')}>\n`;
+        for (const [language, srtName] of Object.entries(transcripts)) {
+            xml += `  <transcript language="${escapeXml(language)}" src="${escapeXml(srtName)}"/>\n`;
+        }
+        xml += `</video>\n`;
+        files.set(`video/${blockId}.xml`, xml);
     }
 
     return files;
 }
+
+/**
+ * List transcript files referenced by the Videos sheet that were not attached.
+ * @param {Map<string, import('../model.js').VideoBlock>} videoBlocks
+ * @param {Map<string, Uint8Array>} assets
+ * @returns {string[]} error messages
+ */
+export function findMissingTranscripts(videoBlocks, assets) {
+    const errors = [];
+    for (const [blockId, block] of videoBlocks) {
+        for (const { language, file } of block.transcripts || []) {
+            if (!assets.has(file)) {
+                errors.push(`Video "${blockId}": ${language} transcript "${file}" has not been attached.`);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Convert a WebVTT transcript to SRT: drop the header and cue settings,
+ * number the cues and use a comma as the millisecond separator.
+ */
+function vttToSrt(vtt) {
+    const cues = vtt.replace(/\r\n?/g, '\n').trim().split(/\n{2,}/);
+    const out = [];
+    for (const cue of cues) {
+        const lines = cue.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) continue; // WEBVTT header, NOTE or STYLE block
+
+        const [start, end] = lines[timingIndex].split('-->').map(t => t.trim().split(/\s+/)[0]);
+        const text = lines.slice(timingIndex + 1).join('\n');
+        out.push(`${out.length + 1}\n${srtTime(start)} --> ${srtTime(end)}\n${text}`);
+    }
+    return out.join('\n\n') + '\n';
+}
+
+/**
+ * "01:02.500" / "00:01:02.500" → "00:01:02,500"
+ */
+function srtTime(time) {
+    const parts = time.replace(',', '.').split(':');
+    if (parts.length === 2) parts.unshift('00');
+    const [h, m, s] = parts;
+    const [sec, ms = '000'] = s.split('.');
+    return `${h.padStart(2, '0')}:${m.padStart(2, '0')}:${sec.padStart(2, '0')},${ms.padEnd(3, '0')}`;
+}
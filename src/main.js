@@ -5,21 +5,12 @@
  */
 import { parseWorkbook } from './parser.js';
 import ExcelJS from 'exceljs';
-import { buildHierarchy } from './model.js';
-import { generateId, sanitizeUrlName } from './utils.js';
+import { sanitizeUrlName } from './utils.js';
 import { renderPreview } from './preview.js';
-import { generateCourse } from './generators/course.js';
-import { generateChapters } from './generators/chapter.js';
-import { generateSequentials } from './generators/sequential.js';
-import { generateVerticals } from './generators/vertical.js';
-import { generateHtmlBlocks } from './generators/html.js';
-import { generateVideoBlocks } from './generators/video.js';
-import { generateProblemBlocks } from './generators/problem.js';
-import { generateOpenResponseBlocks } from './generators/openresponse.js';
+import { buildOlx, checkCourse, importOlx, courseHierarchy } from './pipeline.js';
 import { generateTarGz, downloadBlob } from './archive.js';
-import { extractTarGz } from './untar.js';
-import { parseOlx } from './olx-parser.js';
 import { courseDataToExcel } from './excel-writer.js';
+import { zipSync, unzipSync } from 'fflate';
 
 // ============================================================
 // MODE SWITCHING
@@ -47,8 +38,8 @@ function switchMode(mode) {
 // ============================================================
 
 let courseData = null;
-let hierarchy = null;
-let idMap = new Map();
+let parseErrors = [];
+const attachedAssets = new Map();
 
 const dropZone = document.getElementById('drop-zone');
 const fileInput = document.getElementById('file-input');
@@ -62,6 +53,11 @@ const statsSection = document.getElementById('stats-section');
 const exportBtn = document.getElementById('export-btn');
 const fileName = document.getElementById('file-name');
 const courseTitle = document.getElementById('course-title');
+const assetsBtn = document.getElementById('assets-btn');
+const assetsInput = document.getElementById('assets-input');
+const assetsFolderBtn = document.getElementById('assets-folder-btn');
+const assetsFolderInput = document.getElementById('assets-folder-input');
+const assetsSummary = document.getElementById('assets-summary');
 
 browseBtn.addEventListener('click', () => fileInput.click());
 
@@ -80,14 +76,67 @@ dropZone.addEventListener('dragleave', () => {
     dropZone.classList.remove('drag-over');
 });
 
-dropZone.addEventListener('drop', (e) => {
+dropZone.addEventListener('drop', async (e) => {
     e.preventDefault();
     dropZone.classList.remove('drag-over');
-    if (e.dataTransfer.files.length > 0) {
-        handleFile(e.dataTransfer.files[0]);
-    }
+    // Assets dropped alongside the workbook are attached, not parsed
+    const dropped = [...e.dataTransfer.files];
+    const workbook = dropped.find(f => /\.(xlsx|xls|csv)$/i.test(f.name));
+    const others = dropped.filter(f => f !== workbook);
+    if (others.length > 0) await attachAssets(others);
+    if (workbook) await handleFile(workbook);
 });
 
+assetsBtn.addEventListener('click', () => assetsInput.click());
+
+assetsFolderBtn.addEventListener('click', () => assetsFolderInput.click());
+
+for (const input of [assetsInput, assetsFolderInput]) {
+    input.addEventListener('change', async (e) => {
+        const files = [...e.target.files];
+        input.value = '';
+        if (files.length > 0) await attachAssets(files);
+    });
+}
+
+/**
+ * Add files to the static assets. Zips are expanded; files picked as a
+ * folder keep their path inside that folder (e.g. "img/diagram.png").
+ * A file that can't be read (a corrupt zip…) is reported and skipped.
+ */
+async function attachAssets(fileList) {
+    const failures = [];
+    for (const file of fileList) {
+        try {
+            const content = new Uint8Array(await file.arrayBuffer());
+            if (/\.zip$/i.test(file.name)) {
+                for (const [path, entry] of Object.entries(unzipSync(content))) {
+                    if (path.endsWith('/') || path.startsWith('__MACOSX/')) continue;
+                    attachedAssets.set(path.replace(/^static\//, ''), entry);
+                }
+            } else {
+                const name = file.webkitRelativePath
+                    ? file.webkitRelativePath.split('/').slice(1).join('/')
+                    : file.name;
+                attachedAssets.set(name, content);
+            }
+        } catch (err) {
+            console.error('Attaching asset failed:', err);
+            failures.push(`<li>Error attaching ${escapeHtml(file.name)}: ${escapeHtml(err.message)}</li>`);
+        }
+    }
+    assetsSummary.textContent = `${attachedAssets.size} file(s) attached`;
+    assetsSummary.title = [...attachedAssets.keys()].join('\n');
+    if (courseData) showValidation();
+
+    if (failures.length > 0) {
+        // Ahead of the workbook's errors and warnings, if any are shown
+        const shown = errorsSection.style.display === 'block' ? errorsList.innerHTML : '';
+        errorsSection.style.display = 'block';
+        errorsList.innerHTML = failures.join('') + shown;
+    }
+}
+
 async function handleFile(file) {
     fileName.textContent = file.name;
     fileName.style.display = 'inline-block';
@@ -97,29 +146,10 @@ async function handleFile(file) {
         const result = await parseWorkbook(buffer);
 
         courseData = result.data;
+        courseData.assets = attachedAssets;
+        parseErrors = result.errors;
 
-        idMap = new Map();
-        for (const row of courseData.structure) {
-            const chKey = `ch:${row.chapter}`;
-            if (!idMap.has(chKey)) idMap.set(chKey, sanitizeUrlName(row.chapter) + '_' + generateId().substring(0, 8));
-
-            const seqKey = `seq:${row.chapter}|${row.sequential}`;
-            if (!idMap.has(seqKey)) idMap.set(seqKey, sanitizeUrlName(row.sequential) + '_' + generateId().substring(0, 8));
-
-            const vertKey = `vert:${row.chapter}|${row.sequential}|${row.vertical}`;
-            if (!idMap.has(vertKey)) idMap.set(vertKey, sanitizeUrlName(row.vertical) + '_' + generateId().substring(0, 8));
-        }
-
-        hierarchy = buildHierarchy(courseData.structure, idMap);
-
-        if (result.errors.length > 0) {
-            errorsSection.style.display = 'block';
-            errorsList.innerHTML = result.errors
-                .map(e => `<li>${escapeHtml(e)}</li>`)
-                .join('');
-        } else {
-            errorsSection.style.display = 'none';
-        }
+        const hierarchy = courseHierarchy(courseData);
 
         if (courseData.info.courseName) {
             courseTitle.textContent = courseData.info.courseName;
@@ -131,7 +161,7 @@ async function handleFile(file) {
         previewSection.style.display = 'block';
         previewContent.innerHTML = renderPreview(hierarchy, courseData);
 
-        exportBtn.disabled = result.errors.length > 0;
+        showValidation();
         exportBtn.style.display = 'flex';
     } catch (err) {
         console.error('File parsing failed:', err);
@@ -140,6 +170,30 @@ async function handleFile(file) {
     }
 }
 
+/**
+ * Show workbook errors next to the content diagnostics (missing transcripts,
+ * Text Block and Problem HTML issues). Export stays disabled while there
+ * are errors; warnings are shown but don't block it.
+ */
+function showValidation() {
+    const diagnostics = checkCourse(courseData, courseData.assets);
+    const items = [
+        ...parseErrors.map(e => `<li>${escapeHtml(e)}</li>`),
+        ...diagnostics.map(d => {
+            const label = d.level === 'error' ? 'Error' : 'Warning';
+            const where = d.blockId ? `"${escapeHtml(d.blockId)}": ` : '';
+            return `<li class="${d.level}">${label} — ${where}${escapeHtml(d.message)}</li>`;
+        })
+    ];
+    if (items.length > 0) {
+        errorsSection.style.display = 'block';
+        errorsList.innerHTML = items.join('');
+    } else {
+        errorsSection.style.display = 'none';
+    }
+    exportBtn.disabled = parseErrors.length > 0 || diagnostics.some(d => d.level === 'error');
+}
+
 function updateStats(data, container) {
     if (!data) return;
     const s = data.structure;
@@ -155,6 +209,12 @@ function updateStats(data, container) {
     <div class="stat"><span class="stat-value">${data.videoBlocks.size}</span><span class="stat-label">Videos</span></div>
     <div class="stat"><span class="stat-value">${data.problemBlocks.size}</span><span class="stat-label">Problems</span></div>
     <div class="stat"><span class="stat-value">${data.openResponseBlocks.size}</span><span class="stat-label">Open Response</span></div>
+    <div class="stat"><span class="stat-value">${data.discussionBlocks.size}</span><span class="stat-label">Discussions</span></div>
+    <div class="stat"><span class="stat-value">${data.ltiBlocks.size}</span><span class="stat-label">LTI Tools</span></div>
+    <div class="stat"><span class="stat-value">${data.libraryBlocks.size}</span><span class="stat-label">Libraries</span></div>
+    <div class="stat"><span class="stat-value">${data.pollBlocks.size + data.surveyBlocks.size}</span><span class="stat-label">Polls &amp; Surveys</span></div>
+    <div class="stat"><span class="stat-value">${data.dragDropBlocks.size}</span><span class="stat-label">Drag &amp; Drop</span></div>
+    <div class="stat"><span class="stat-value">${data.rawBlocks.size}</span><span class="stat-label">Raw Components</span></div>
   `;
     container.style.display = 'flex';
 }
@@ -162,30 +222,17 @@ function updateStats(data, container) {
 // --- Build Export ---
 
 exportBtn.addEventListener('click', async () => {
-    if (!courseData || !hierarchy) return;
+    if (!courseData) return;
 
     exportBtn.disabled = true;
     exportBtn.innerHTML = '<span class="btn-icon">⏳</span> Generating...';
 
     try {
-        const allFiles = new Map();
+        const { files, diagnostics } = buildOlx(courseData);
+        const firstError = diagnostics.find(d => d.level === 'error');
+        if (firstError) throw new Error(firstError.message);
 
-        const merge = (fileMap) => {
-            for (const [path, content] of fileMap) {
-                allFiles.set(path, content);
-            }
-        };
-
-        merge(generateCourse(courseData.info, hierarchy));
-        merge(generateChapters(hierarchy));
-        merge(generateSequentials(hierarchy));
-        merge(generateVerticals(hierarchy));
-        merge(generateHtmlBlocks(courseData.textBlocks));
-        merge(generateVideoBlocks(courseData.videoBlocks));
-        merge(generateProblemBlocks(courseData.problemBlocks));
-        merge(generateOpenResponseBlocks(courseData.openResponseBlocks));
-
-        const blob = await generateTarGz(allFiles);
+        const blob = await generateTarGz(files);
         const filename = `${sanitizeUrlName(courseData.info.courseName || 'course')}_export.tar.gz`;
         await downloadBlob(blob, filename);
 
@@ -229,7 +276,18 @@ async function generateTemplate() {
         { field: 'Language', value: 'en' },
         { field: 'Start Date', value: '2024-01-15' },
         { field: 'End Date', value: '2024-12-31' },
-        { field: 'Self-Paced', value: 'Yes' }
+        { field: 'Self-Paced', value: 'Yes' },
+        { field: 'Enrollment Start', value: '2024-01-01' },
+        { field: 'Enrollment End', value: '' },
+        { field: 'Certificate Date', value: '' },
+        { field: 'Course Image', value: '' },
+        { field: 'Short Description', value: 'A one-sentence summary shown in the course catalog.' },
+        { field: 'Overview', value: '<h2>About This Course</h2>\n<p>What learners will do and why it matters.</p>' },
+        { field: 'Advanced Modules', value: 'lti_consumer; poll; survey; drag-and-drop-v2' },
+        { field: 'Prerequisite Courses', value: '' },
+        { field: 'Invitation Only', value: 'No' },
+        { field: 'Tabs', value: 'courseware; progress; dates; discussion' },
+        { field: 'Hidden Tabs', value: '' }
     ]);
 
     // --- Sheet 2: Structure ---
@@ -239,16 +297,28 @@ async function generateTemplate() {
         { header: 'sequential', key: 'sequential', width: 25 },
         { header: 'vertical', key: 'vertical', width: 30 },
         { header: 'block_type', key: 'blockType', width: 15 },
-        { header: 'block_id', key: 'blockId', width: 20 }
+        { header: 'block_id', key: 'blockId', width: 20 },
+        { header: 'graded', key: 'graded', width: 10 },
+        { header: 'format', key: 'format', width: 15 },
+        { header: 'due', key: 'due', width: 15 }
     ];
     ws2.addRows([
         { chapter: 'Chapter 1: Introduction', sequential: '1.1 Welcome', vertical: 'Unit 1.1.1 Overview', blockType: 'text', blockId: 'welcome_text' },
         { chapter: 'Chapter 1: Introduction', sequential: '1.1 Welcome', vertical: 'Unit 1.1.1 Overview', blockType: 'video', blockId: 'welcome_video' },
         { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.1 Lecture', blockType: 'video', blockId: 'lecture_1' },
         { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.1 Lecture', blockType: 'text', blockId: 'reading_1' },
-        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.2 Quiz', blockType: 'problem', blockId: 'quiz_q1' },
+        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.2 Quiz', blockType: 'problem', blockId: 'quiz_q1', graded: 'Yes', format: 'Homework', due: '2024-03-01' },
         { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.2 Quiz', blockType: 'problem', blockId: 'quiz_q2' },
-        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.3 Reflection', blockType: 'openresponse', blockId: 'reflection_1' }
+        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.2 Quiz', blockType: 'problem', blockId: 'quiz_q3' },
+        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.2 Quiz', blockType: 'problem', blockId: 'quiz_q4' },
+        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.3 Reflection', blockType: 'openresponse', blockId: 'reflection_1' },
+        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.3 Reflection', blockType: 'discussion', blockId: 'discuss_1' },
+        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.3 Reflection', blockType: 'raw', blockId: 'word_cloud_1' },
+        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.4 Lab', blockType: 'lti', blockId: 'lab_tool' },
+        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.5 Practice', blockType: 'library', blockId: 'practice_bank' },
+        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.6 Feedback', blockType: 'poll', blockId: 'pace_poll' },
+        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.6 Feedback', blockType: 'survey', blockId: 'chapter_survey' },
+        { chapter: 'Chapter 1: Introduction', sequential: '1.2 Core Concepts', vertical: 'Unit 1.2.7 Sorting', blockType: 'dragdrop', blockId: 'sort_1' }
     ]);
 
     // --- Sheet 3: Text Blocks ---
@@ -271,7 +341,8 @@ async function generateTemplate() {
         { header: 'youtube_id', key: 'youtubeId', width: 20 },
         { header: 'html5_url', key: 'html5Url', width: 40 },
         { header: 'start_time', key: 'startTime', width: 12 },
-        { header: 'end_time', key: 'endTime', width: 12 }
+        { header: 'end_time', key: 'endTime', width: 12 },
+        { header: 'transcript_file', key: 'transcriptFile', width: 25 }
     ];
     ws4.addRows([
         { blockId: 'welcome_video', title: 'Welcome Video', youtubeId: 'dQw4w9WgXcQ', html5Url: '', startTime: '00:00:00', endTime: '00:00:00' },
@@ -283,6 +354,7 @@ async function generateTemplate() {
     ws5.columns = [
         { header: 'block_id', key: 'blockId', width: 12 },
         { header: 'title', key: 'title', width: 10 },
+        { header: 'problem_type', key: 'problemType', width: 15 },
         { header: 'question_text', key: 'questionText', width: 40 },
         { header: 'choice_a', key: 'choice_a', width: 15 },
         { header: 'choice_b', key: 'choice_b', width: 15 },
@@ -293,12 +365,27 @@ async function generateTemplate() {
         { header: 'hint_b', key: 'hint_b', width: 20 },
         { header: 'hint_c', key: 'hint_c', width: 20 },
         { header: 'hint_d', key: 'hint_d', width: 20 },
+        { header: 'answer', key: 'answer', width: 15 },
+        { header: 'tolerance', key: 'tolerance', width: 10 },
+        { header: 'additional_answers', key: 'additionalAnswers', width: 25 },
+        { header: 'case_sensitive', key: 'caseSensitive', width: 14 },
         { header: 'explanation', key: 'explanation', width: 40 },
-        { header: 'show_answer', key: 'showAnswer', width: 12 }
+        { header: 'show_answer', key: 'showAnswer', width: 12 },
+        { header: 'weight', key: 'weight', width: 10 },
+        { header: 'max_attempts', key: 'maxAttempts', width: 13 },
+        { header: 'rerandomize', key: 'rerandomize', width: 13 },
+        { header: 'show_reset_button', key: 'showResetButton', width: 18 },
+        { header: 'partial_credit', key: 'partialCredit', width: 14 },
+        { header: 'compound_hint_1', key: 'compoundHint1', width: 25 },
+        { header: 'demand_hint_1', key: 'demandHint1', width: 25 },
+        { header: 'demand_hint_2', key: 'demandHint2', width: 25 },
+        { header: 'raw_xml', key: 'rawXml', width: 40 }
     ];
     ws5.addRows([
-        { blockId: 'quiz_q1', title: 'Q1', questionText: 'What is 2 + 2?', choice_a: '3', choice_b: '4', choice_c: '5', choice_d: '22', correct: 'B', hint_a: 'Too low', hint_b: 'Correct!', hint_c: 'Too high', hint_d: 'Not quite', explanation: 'Basic addition: 2 + 2 = 4', showAnswer: 'attempted' },
-        { blockId: 'quiz_q2', title: 'Q2', questionText: 'Which color is the sky on a clear day?', choice_a: 'Red', choice_b: 'Green', choice_c: 'Blue', choice_d: 'Yellow', correct: 'C', hint_a: 'Not red', hint_b: 'Not green', hint_c: "That's right!", hint_d: 'Not yellow', explanation: 'The sky appears blue due to Rayleigh scattering.', showAnswer: 'attempted' }
+        { blockId: 'quiz_q1', title: 'Q1', problemType: 'single-select', questionText: 'What is 2 + 2?', choice_a: '3', choice_b: '4', choice_c: '5', choice_d: '22', correct: 'B', hint_a: 'Too low', hint_b: 'Correct!', hint_c: 'Too high', hint_d: 'Not quite', explanation: 'Basic addition: 2 + 2 = 4', showAnswer: 'attempted', weight: '1', maxAttempts: '2', showResetButton: 'Yes', demandHint1: 'Start from 2 and count up.', demandHint2: 'Count two more.' },
+        { blockId: 'quiz_q2', title: 'Q2', problemType: 'single-select', questionText: 'Which color is the sky on a clear day?', choice_a: 'Red', choice_b: 'Green', choice_c: 'Blue', choice_d: 'Yellow', correct: 'C', hint_a: 'Not red', hint_b: 'Not green', hint_c: "That's right!", hint_d: 'Not yellow', explanation: 'The sky appears blue due to Rayleigh scattering.', showAnswer: 'attempted' },
+        { blockId: 'quiz_q3', title: 'Q3', problemType: 'numerical', questionText: 'What is the value of pi to two decimal places?', answer: '3.14', tolerance: '0.01', explanation: 'Pi is approximately 3.14159.', showAnswer: 'attempted' },
+        { blockId: 'quiz_q4', title: 'Q4', problemType: 'text-input', questionText: 'What is the chemical symbol for water?', answer: 'H2O', additionalAnswers: 'H₂O', caseSensitive: 'No', explanation: 'Two hydrogen atoms and one oxygen atom.', showAnswer: 'attempted' }
     ]);
 
     // --- Sheet 6: Open Response ---
@@ -306,15 +393,189 @@ async function generateTemplate() {
     ws6.columns = [
         { header: 'block_id', key: 'blockId', width: 15 },
         { header: 'title', key: 'title', width: 20 },
-        { header: 'prompt', key: 'prompt', width: 60 },
+        { header: 'prompt_1', key: 'prompt1', width: 60 },
+        { header: 'prompt_2', key: 'prompt2', width: 60 },
         { header: 'criterion_1_name', key: 'crit1Name', width: 25 },
+        { header: 'criterion_1_prompt', key: 'crit1Prompt', width: 40 },
         { header: 'criterion_1_options', key: 'crit1Opts', width: 50 },
+        { header: 'criterion_1_explanations', key: 'crit1Expl', width: 60 },
         { header: 'criterion_2_name', key: 'crit2Name', width: 25 },
+        { header: 'criterion_2_prompt', key: 'crit2Prompt', width: 40 },
         { header: 'criterion_2_options', key: 'crit2Opts', width: 50 },
-        { header: 'assessment_type', key: 'assessmentType', width: 15 }
+        { header: 'criterion_2_explanations', key: 'crit2Expl', width: 60 },
+        { header: 'assessment_type', key: 'assessmentType', width: 18 },
+        { header: 'submission_start', key: 'submissionStart', width: 18 },
+        { header: 'submission_due', key: 'submissionDue', width: 18 },
+        { header: 'peer_start', key: 'peerStart', width: 18 },
+        { header: 'peer_due', key: 'peerDue', width: 18 },
+        { header: 'peer_must_grade', key: 'peerMustGrade', width: 15 },
+        { header: 'peer_graded_by', key: 'peerGradedBy', width: 15 },
+        { header: 'self_start', key: 'selfStart', width: 18 },
+        { header: 'self_due', key: 'selfDue', width: 18 },
+        { header: 'text_response', key: 'textResponse', width: 14 },
+        { header: 'file_upload', key: 'fileUpload', width: 12 },
+        { header: 'file_upload_type', key: 'fileUploadType', width: 16 },
+        { header: 'allowed_extensions', key: 'allowedExtensions', width: 20 }
     ];
     ws6.addRows([
-        { blockId: 'reflection_1', title: 'Chapter Reflection', prompt: 'Reflect on what you learned in this chapter. What was the most surprising concept?', crit1Name: 'Depth of Reflection', crit1Opts: 'Superficial=0;Adequate=1;Thoughtful=2;Exceptional=3', crit2Name: 'Writing Quality', crit2Opts: 'Poor=0;Fair=1;Good=2;Excellent=3', assessmentType: 'self' }
+        { blockId: 'reflection_1', title: 'Chapter Reflection', prompt1: '<p>Reflect on what you learned in this chapter. What was the <strong>most surprising</strong> concept?</p>', prompt2: '<p>How will you use it in your own work?</p>', crit1Name: 'Depth of Reflection', crit1Prompt: 'How deeply does the response engage with the material?', crit1Opts: 'Superficial=0;Adequate=1;Thoughtful=2;Exceptional=3', crit1Expl: 'Restates the material; Connects to one idea; Connects several ideas; Builds new insight', crit2Name: 'Writing Quality', crit2Opts: 'Poor=0;Fair=1;Good=2;Excellent=3', assessmentType: 'peer; self', submissionDue: '2024-03-15', peerDue: '2024-03-22', peerMustGrade: 3, peerGradedBy: 2, textResponse: 'required', fileUpload: 'optional', fileUploadType: 'pdf-and-image' }
+    ]);
+
+    // --- Sheet 7: Grading ---
+    const ws7 = wb.addWorksheet('Grading');
+    ws7.columns = [
+        { header: 'assignment_type', key: 'type', width: 18 },
+        { header: 'short_label', key: 'shortLabel', width: 12 },
+        { header: 'weight', key: 'weight', width: 10 },
+        { header: 'min_count', key: 'minCount', width: 10 },
+        { header: 'drop_count', key: 'dropCount', width: 10 },
+        { header: 'grade', key: 'grade', width: 10 },
+        { header: 'cutoff', key: 'cutoff', width: 10 }
+    ];
+    ws7.addRows([
+        { type: 'Homework', shortLabel: 'HW', weight: 0.4, minCount: 4, dropCount: 1, grade: 'A', cutoff: 0.9 },
+        { type: 'Midterm Exam', shortLabel: 'Mid', weight: 0.2, minCount: 1, dropCount: 0, grade: 'B', cutoff: 0.8 },
+        { type: 'Final Exam', shortLabel: 'Final', weight: 0.4, minCount: 1, dropCount: 0, grade: 'C', cutoff: 0.7 }
+    ]);
+
+    // --- Sheet 8: Discussions ---
+    const ws8 = wb.addWorksheet('Discussions');
+    ws8.columns = [
+        { header: 'block_id', key: 'blockId', width: 15 },
+        { header: 'title', key: 'title', width: 25 },
+        { header: 'discussion_category', key: 'discussionCategory', width: 20 },
+        { header: 'discussion_target', key: 'discussionTarget', width: 25 },
+        { header: 'discussion_id', key: 'discussionId', width: 20 }
+    ];
+    ws8.addRows([
+        { blockId: 'discuss_1', title: 'Share Your Thoughts', discussionCategory: 'Chapter 1', discussionTarget: 'Surprising Concepts', discussionId: 'ch1_reflection' }
+    ]);
+
+    // --- Sheet 9: LTI ---
+    const ws9 = wb.addWorksheet('LTI');
+    ws9.columns = [
+        { header: 'block_id', key: 'blockId', width: 15 },
+        { header: 'title', key: 'title', width: 20 },
+        { header: 'lti_id', key: 'ltiId', width: 15 },
+        { header: 'launch_url', key: 'launchUrl', width: 40 },
+        { header: 'custom_parameters', key: 'customParameters', width: 30 },
+        { header: 'has_score', key: 'hasScore', width: 10 },
+        { header: 'weight', key: 'weight', width: 10 },
+        { header: 'launch_target', key: 'launchTarget', width: 15 }
+    ];
+    ws9.addRows([
+        { blockId: 'lab_tool', title: 'Virtual Lab', ltiId: 'virtual_lab', launchUrl: 'https://lab.example.com/lti/launch', customParameters: 'experiment=intro; difficulty=easy', hasScore: 'Yes', weight: 1, launchTarget: 'new_window' }
+    ]);
+
+    // --- Sheet 10: Libraries ---
+    const ws10 = wb.addWorksheet('Libraries');
+    ws10.columns = [
+        { header: 'block_id', key: 'blockId', width: 15 },
+        { header: 'title', key: 'title', width: 20 },
+        { header: 'source_library_id', key: 'sourceLibraryId', width: 30 },
+        { header: 'max_count', key: 'maxCount', width: 10 },
+        { header: 'capa_type', key: 'capaType', width: 25 },
+        { header: 'problem_ids', key: 'problemIds', width: 30 }
+    ];
+    ws10.addRows([
+        { blockId: 'practice_bank', title: 'Practice Question', sourceLibraryId: 'library-v1:DemoX+PRACTICE', maxCount: 1, capaType: 'any', problemIds: '' }
+    ]);
+
+    // --- Sheet 11: Polls ---
+    const ws11 = wb.addWorksheet('Polls');
+    ws11.columns = [
+        { header: 'block_id', key: 'blockId', width: 15 },
+        { header: 'title', key: 'title', width: 15 },
+        { header: 'question', key: 'question', width: 35 },
+        { header: 'answer_a', key: 'answerA', width: 15 },
+        { header: 'answer_b', key: 'answerB', width: 15 },
+        { header: 'answer_c', key: 'answerC', width: 15 },
+        { header: 'image_a', key: 'imageA', width: 20 },
+        { header: 'image_alt_a', key: 'imageAltA', width: 15 },
+        { header: 'feedback', key: 'feedback', width: 30 },
+        { header: 'private_results', key: 'privateResults', width: 15 },
+        { header: 'max_submissions', key: 'maxSubmissions', width: 15 }
+    ];
+    ws11.addRows([
+        { blockId: 'pace_poll', title: 'Pace Check', question: 'How is the pace of this chapter?', answerA: 'Too slow', answerB: 'About right', answerC: 'Too fast', feedback: 'Thanks — we read every response.', privateResults: 'No', maxSubmissions: 1 }
+    ]);
+
+    // --- Sheet 12: Surveys ---
+    const ws12 = wb.addWorksheet('Surveys');
+    ws12.columns = [
+        { header: 'block_id', key: 'blockId', width: 15 },
+        { header: 'title', key: 'title', width: 15 },
+        { header: 'question_a', key: 'questionA', width: 30 },
+        { header: 'question_b', key: 'questionB', width: 30 },
+        { header: 'answers', key: 'answers', width: 20 },
+        { header: 'feedback', key: 'feedback', width: 30 },
+        { header: 'private_results', key: 'privateResults', width: 15 },
+        { header: 'max_submissions', key: 'maxSubmissions', width: 15 }
+    ];
+    ws12.addRows([
+        { blockId: 'chapter_survey', title: 'Chapter Survey', questionA: 'The readings were useful', questionB: 'The quiz was fair', answers: 'Agree; Neutral; Disagree', feedback: '', privateResults: 'Yes', maxSubmissions: 1 }
+    ]);
+
+    // --- Sheets 13–15: Drag and Drop, its Zones and Items ---
+    const ws13 = wb.addWorksheet('Drag and Drop');
+    ws13.columns = [
+        { header: 'block_id', key: 'blockId', width: 15 },
+        { header: 'title', key: 'title', width: 20 },
+        { header: 'question_text', key: 'questionText', width: 35 },
+        { header: 'mode', key: 'mode', width: 12 },
+        { header: 'max_attempts', key: 'maxAttempts', width: 12 },
+        { header: 'weight', key: 'weight', width: 10 },
+        { header: 'background_image', key: 'backgroundImage', width: 30 },
+        { header: 'background_description', key: 'backgroundDescription', width: 30 },
+        { header: 'show_zone_labels', key: 'showZoneLabels', width: 15 },
+        { header: 'show_zone_borders', key: 'showZoneBorders', width: 15 },
+        { header: 'intro_feedback', key: 'introFeedback', width: 30 },
+        { header: 'final_feedback', key: 'finalFeedback', width: 30 }
+    ];
+    ws13.addRows([
+        { blockId: 'sort_1', title: 'Sort the Animals', questionText: 'Drag each animal to its group.', mode: 'standard', showZoneLabels: 'Yes', showZoneBorders: 'Yes', introFeedback: 'Drag the animals onto the image.', finalFeedback: 'Well done — every animal is in place!' }
+    ]);
+    const ws14 = wb.addWorksheet('Drag and Drop Zones');
+    ws14.columns = [
+        { header: 'block_id', key: 'blockId', width: 15 },
+        { header: 'zone_id', key: 'zoneId', width: 12 },
+        { header: 'title', key: 'title', width: 15 },
+        { header: 'description', key: 'description', width: 25 },
+        { header: 'x', key: 'x', width: 8 },
+        { header: 'y', key: 'y', width: 8 },
+        { header: 'width', key: 'width', width: 8 },
+        { header: 'height', key: 'height', width: 8 },
+        { header: 'align', key: 'align', width: 10 }
+    ];
+    ws14.addRows([
+        { blockId: 'sort_1', zoneId: 'mammals', title: 'Mammals', description: 'Warm-blooded, with fur', x: 20, y: 20, width: 200, height: 150, align: 'center' },
+        { blockId: 'sort_1', zoneId: 'birds', title: 'Birds', description: 'Warm-blooded, with feathers', x: 260, y: 20, width: 200, height: 150, align: 'center' }
+    ]);
+    const ws15 = wb.addWorksheet('Drag and Drop Items');
+    ws15.columns = [
+        { header: 'block_id', key: 'blockId', width: 15 },
+        { header: 'text', key: 'text', width: 15 },
+        { header: 'image_url', key: 'imageUrl', width: 30 },
+        { header: 'image_description', key: 'imageDescription', width: 20 },
+        { header: 'zones', key: 'zones', width: 15 },
+        { header: 'correct_feedback', key: 'correctFeedback', width: 25 },
+        { header: 'incorrect_feedback', key: 'incorrectFeedback', width: 30 }
+    ];
+    ws15.addRows([
+        { blockId: 'sort_1', text: 'Dolphin', zones: 'mammals', correctFeedback: 'Yes — dolphins breathe air and nurse their young.', incorrectFeedback: 'Dolphins live in water, but they are not fish.' },
+        { blockId: 'sort_1', text: 'Penguin', zones: 'birds', correctFeedback: 'Right — a bird that cannot fly.', incorrectFeedback: 'Look for the feathers.' },
+        { blockId: 'sort_1', text: 'Shark', zones: '', incorrectFeedback: 'Sharks are fish; they belong in neither group.' }
+    ]);
+
+    // --- Sheet 16: Raw Components ---
+    const ws16 = wb.addWorksheet('Raw Components');
+    ws16.columns = [
+        { header: 'block_id', key: 'blockId', width: 15 },
+        { header: 'file', key: 'file', width: 20 },
+        { header: 'content', key: 'content', width: 80 }
+    ];
+    ws16.addRows([
+        { blockId: 'word_cloud_1', file: '', content: '<word_cloud display_name="One Word" instructions="Describe this chapter in one word." num_inputs="1" num_top_words="50"/>' }
     ]);
 
     const buffer = await wb.xlsx.writeBuffer();
@@ -339,6 +600,7 @@ const importCourseTitle = document.getElementById('import-course-title');
 const importPreviewSection = document.getElementById('import-preview-section');
 const importPreviewContent = document.getElementById('import-preview-content');
 const importExportBtn = document.getElementById('import-export-btn');
+const importAssetsBtn = document.getElementById('import-assets-btn');
 
 importBrowseBtn.addEventListener('click', () => importFileInput.click());
 
@@ -372,18 +634,15 @@ async function handleImportFile(file) {
     try {
         const buffer = await file.arrayBuffer();
 
-        // Step 1: Extract the tar.gz
-        const files = extractTarGz(buffer);
-
-        // Step 2: Parse OLX into CourseData
-        const result = parseOlx(files);
+        // Extract the tar.gz and parse OLX into CourseData
+        const result = importOlx(buffer);
         importedCourseData = result.data;
 
         // Show warnings
-        if (result.warnings.length > 0) {
+        if (result.diagnostics.length > 0) {
             importWarningsSection.style.display = 'block';
-            importWarningsList.innerHTML = result.warnings
-                .map(w => `<li>${escapeHtml(w)}</li>`)
+            importWarningsList.innerHTML = result.diagnostics
+                .map(d => `<li>${escapeHtml(d.message)}</li>`)
                 .join('');
         } else {
             importWarningsSection.style.display = 'none';
@@ -399,19 +658,7 @@ async function handleImportFile(file) {
         updateStats(importedCourseData, importStatsSection);
 
         // Build hierarchy for preview
-        const importIdMap = new Map();
-        for (const row of importedCourseData.structure) {
-            const chKey = `ch:${row.chapter}`;
-            if (!importIdMap.has(chKey)) importIdMap.set(chKey, sanitizeUrlName(row.chapter) + '_' + generateId().substring(0, 8));
-
-            const seqKey = `seq:${row.chapter}|${row.sequential}`;
-            if (!importIdMap.has(seqKey)) importIdMap.set(seqKey, sanitizeUrlName(row.sequential) + '_' + generateId().substring(0, 8));
-
-            const vertKey = `vert:${row.chapter}|${row.sequential}|${row.vertical}`;
-            if (!importIdMap.has(vertKey)) importIdMap.set(vertKey, sanitizeUrlName(row.vertical) + '_' + generateId().substring(0, 8));
-        }
-
-        const importHierarchy = buildHierarchy(importedCourseData.structure, importIdMap);
+        const importHierarchy = courseHierarchy(importedCourseData);
 
         // Render preview
         importPreviewSection.style.display = 'block';
@@ -420,6 +667,7 @@ async function handleImportFile(file) {
         // Enable export
         importExportBtn.disabled = false;
         importExportBtn.style.display = 'flex';
+        importAssetsBtn.style.display = importedCourseData.assets.size > 0 ? 'flex' : 'none';
 
     } catch (err) {
         console.error('Import failed:', err);
@@ -456,6 +704,20 @@ importExportBtn.addEventListener('click', async () => {
     }
 });
 
+// --- Import Assets Download (static files as .zip) ---
+
+importAssetsBtn.addEventListener('click', async () => {
+    if (!importedCourseData) return;
+
+    const entries = {};
+    for (const [name, content] of importedCourseData.assets) {
+        entries[name] = content;
+    }
+    const blob = new Blob([zipSync(entries)], { type: 'application/zip' });
+    const filename = `${sanitizeUrlName(importedCourseData.info.courseName || 'course')}_assets.zip`;
+    await downloadBlob(blob, filename);
+});
+
 // ============================================================
 // HELPERS
 // ============================================================
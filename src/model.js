@@ -2,6 +2,7 @@
  * Internal data model for Course Engine.
  * Parser builds this from Excel; generators consume it to produce OLX.
  */
+import { hashString, sanitizeUrlName } from './utils.js';
 
 /**
  * @typedef {Object} CourseInfo
@@ -13,6 +14,17 @@
  * @property {string} startDate
  * @property {string} endDate
  * @property {boolean} selfPaced
+ * @property {string} enrollmentStart
+ * @property {string} enrollmentEnd
+ * @property {string} certificateDate - when certificates become available
+ * @property {string} courseImage - file name under static/
+ * @property {string} shortDescription
+ * @property {string} overview - HTML for the course About page
+ * @property {string[]} advancedModules - XBlock types enabled in Studio
+ * @property {string[]} prerequisiteCourses - course keys, e.g. course-v1:Org+Num+Run
+ * @property {boolean} invitationOnly
+ * @property {string[]} tabs - tab types in display order (see COURSE_TABS)
+ * @property {string[]} hiddenTabs - tab types hidden from learners
  */
 
 /**
@@ -30,27 +42,50 @@
  * @property {string} html5Url
  * @property {string} startTime
  * @property {string} endTime
+ * @property {Array<{language: string, file: string}>} transcripts - caption files by language
  */
 
 /**
  * @typedef {Object} ProblemBlock
  * @property {string} blockId
  * @property {string} title
+ * @property {string} problemType - 'single-select', 'multi-select', 'dropdown', 'numerical', 'text-input'
+ *   ('' for raw XML)
  * @property {string} questionText
- * @property {Array<{text: string, correct: boolean, hint: string}>} choices
+ * @property {Array<{text: string, correct: boolean, hint: string, pointValue: string}>} choices - select
+ *   and dropdown problems; pointValue is the share of the score a wrong choice earns with points
+ *   partial credit, e.g. '0.5' ('' for none)
+ * @property {Array<{choices: string[], hint: string}>} compoundHints - multi-select problems: feedback
+ *   for one exact selection, its choices as position letters ('A' is the first choice)
+ * @property {string} partialCredit - multi-select problems: 'EDC' (every decision counts), 'halves';
+ *   single-select problems: 'points' (per-choice pointValue); or '' for all or nothing
+ * @property {string} answer - numerical and text-input problems
+ * @property {string} tolerance - numerical problems, e.g. '0.01' or '5%'
+ * @property {string[]} additionalAnswers - text-input problems
+ * @property {boolean} caseSensitive - text-input problems
  * @property {string} explanation
+ * @property {string[]} demandHints - hints learners reveal one at a time, in order
  * @property {string} showAnswer
+ * @property {string} weight - problem weight ('' for the Studio default)
+ * @property {string} maxAttempts - '' for unlimited
+ * @property {string} rerandomize - 'always', 'onreset', 'never', 'per_student' or ''
+ * @property {boolean|null} showResetButton - null for the course default
+ * @property {boolean} isMultiSelect
+ * @property {string} rawXml - the whole <problem> element, written as is in place of
+ *   the other fields ('' to build the problem from them)
  */
 
 /**
  * @typedef {Object} CriterionOption
  * @property {string} label
  * @property {number} points
+ * @property {string} explanation
  */
 
 /**
  * @typedef {Object} Criterion
  * @property {string} name
+ * @property {string} prompt - '' to use the name
  * @property {CriterionOption[]} options
  */
 
@@ -58,9 +93,136 @@
  * @typedef {Object} OpenResponseBlock
  * @property {string} blockId
  * @property {string} title
- * @property {string} prompt
+ * @property {string[]} prompts - HTML, in order
  * @property {Criterion[]} criteria
- * @property {string} assessmentType - 'self', 'peer', 'staff'
+ * @property {string[]} steps - 'peer', 'self' and/or 'staff', in that order
+ * @property {string} submissionStart - '' for open from the start
+ * @property {string} submissionDue - '' for no deadline
+ * @property {string} peerStart
+ * @property {string} peerDue
+ * @property {string} selfStart
+ * @property {string} selfDue
+ * @property {number} mustGrade - responses each learner grades in the peer step
+ * @property {number} mustBeGradedBy - peer grades each response needs
+ * @property {string} textResponse - 'required', 'optional' or 'none'
+ * @property {string} fileUpload - 'required', 'optional' or 'none'
+ * @property {string} fileUploadType - 'image', 'pdf-and-image' or 'custom' ('' without uploads)
+ * @property {string[]} allowedExtensions - for the 'custom' upload type, without dots
+ */
+
+/**
+ * @typedef {Object} DiscussionBlock
+ * @property {string} blockId
+ * @property {string} title
+ * @property {string} discussionCategory - group shown in the Discussion tab, e.g. "Week 1"
+ * @property {string} discussionTarget - topic name within the category
+ * @property {string} discussionId - forum thread ID, unique across the course
+ */
+
+/**
+ * @typedef {Object} LtiBlock
+ * @property {string} blockId
+ * @property {string} title
+ * @property {string} ltiId - names the LTI passport (key and secret) in Studio's Advanced Settings
+ * @property {string} launchUrl
+ * @property {string[]} customParameters - "name=value" pairs sent with the launch
+ * @property {boolean} hasScore - whether the tool sends a grade back
+ * @property {string} weight - points possible when scored; '' uses the edX default
+ * @property {string} launchTarget - 'iframe', 'modal', 'new_window'
+ */
+
+/**
+ * @typedef {Object} LibraryBlock
+ * @property {string} blockId
+ * @property {string} title
+ * @property {string} sourceLibraryId - e.g. "library-v1:CCNMTLx+QBANK"
+ * @property {number} maxCount - problems shown to each learner; -1 shows all
+ * @property {string} capaType - limit to one problem type, e.g. "multiplechoiceresponse", or 'any'
+ * @property {string[]} problemIds - Problems sheet blocks bundled with the export
+ */
+
+/**
+ * A poll or survey option. Votes are stored against the key, so it must not
+ * change once learners have answered.
+ * @typedef {Object} PollOption
+ * @property {string} key
+ * @property {string} label
+ * @property {string} img - image URL, or ''
+ * @property {string} imgAlt - alternative text for the image
+ */
+
+/**
+ * @typedef {Object} PollBlock
+ * @property {string} blockId
+ * @property {string} title
+ * @property {string} question - Markdown
+ * @property {PollOption[]} answers
+ * @property {string} feedback - shown after voting (Markdown)
+ * @property {boolean} privateResults - hide the tally from learners
+ * @property {number} maxSubmissions - 0 for unlimited
+ */
+
+/**
+ * A grid of questions (rows) that all share the same answers (columns).
+ * @typedef {Object} SurveyBlock
+ * @property {string} blockId
+ * @property {string} title
+ * @property {PollOption[]} questions
+ * @property {Array<{key: string, label: string}>} answers
+ * @property {string} feedback
+ * @property {boolean} privateResults
+ * @property {number} maxSubmissions - 0 for unlimited
+ */
+
+/**
+ * @typedef {Object} DragDropZone
+ * @property {string} uid - referenced by items' zones
+ * @property {string} title
+ * @property {string} description
+ * @property {number} x - position on the background image, in pixels
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ * @property {string} align - 'left', 'center', 'right' or '' (free placement)
+ */
+
+/**
+ * @typedef {Object} DragDropItem
+ * @property {string} text
+ * @property {string} imageUrl
+ * @property {string} imageDescription
+ * @property {string[]} zones - uids of the zones it belongs in; empty for a distractor
+ * @property {string} feedbackCorrect
+ * @property {string} feedbackIncorrect
+ */
+
+/**
+ * @typedef {Object} DragDropBlock
+ * @property {string} blockId
+ * @property {string} title
+ * @property {string} questionText
+ * @property {string} mode - 'standard' (instant feedback) or 'assessment'
+ * @property {string} maxAttempts - '' for unlimited
+ * @property {string} weight
+ * @property {string} targetImg - background image URL; '' uses the XBlock's default
+ * @property {string} targetImgDescription
+ * @property {boolean} displayLabels - show zone titles on the image
+ * @property {boolean} displayBorders
+ * @property {string} feedbackStart - shown before the learner starts
+ * @property {string} feedbackFinish - shown when every item is placed correctly
+ * @property {DragDropZone[]} zones
+ * @property {DragDropItem[]} items
+ */
+
+/**
+ * A component Course Engine has no sheet for (a poll, a custom XBlock…),
+ * kept as its original OLX so it survives Import → Build unchanged.
+ * @typedef {Object} RawBlock
+ * @property {string} blockId
+ * @property {string} tag - OLX element name, e.g. 'word_cloud'
+ * @property {string} xml - the component's definition element
+ * @property {Map<string, string>} files - other OLX files the component owns, by path,
+ *     including the definitions of the child blocks it points to
  */
 
 /**
@@ -68,20 +230,70 @@
  * @property {string} chapter
  * @property {string} sequential
  * @property {string} vertical
- * @property {string} blockType - 'text', 'video', 'problem', 'openresponse'
+ * @property {string} blockType - 'text', 'video', 'problem', 'openresponse', 'discussion', 'lti', 'library',
+ *   'poll', 'survey', 'dragdrop', 'raw'
  * @property {string} blockId
+ * @property {string} [chapterId] - explicit chapter url_name (optional)
+ * @property {string} [sequentialId] - explicit sequential url_name (optional)
+ * @property {string} [verticalId] - explicit vertical url_name (optional)
+ * @property {boolean} [graded] - subsection counts towards the grade
+ * @property {string} [format] - subsection assignment type, e.g. 'Homework'
+ * @property {string} [due] - subsection due date
+ */
+
+/**
+ * @typedef {Object} AssignmentType
+ * @property {string} type - e.g. 'Homework'; subsection formats refer to this
+ * @property {string} shortLabel
+ * @property {number} weight - fraction of the final grade (all weights sum to 1)
+ * @property {number} minCount
+ * @property {number} dropCount
+ */
+
+/**
+ * @typedef {Object} GradingPolicy
+ * @property {AssignmentType[]} graders
+ * @property {Array<{grade: string, cutoff: number}>} cutoffs - e.g. { grade: 'Pass', cutoff: 0.5 }
  */
 
 /**
  * @typedef {Object} CourseData
  * @property {CourseInfo} info
+ * @property {GradingPolicy} grading
  * @property {StructureRow[]} structure
  * @property {Map<string, TextBlock>} textBlocks
  * @property {Map<string, VideoBlock>} videoBlocks
  * @property {Map<string, ProblemBlock>} problemBlocks
  * @property {Map<string, OpenResponseBlock>} openResponseBlocks
+ * @property {Map<string, DiscussionBlock>} discussionBlocks
+ * @property {Map<string, LtiBlock>} ltiBlocks
+ * @property {Map<string, LibraryBlock>} libraryBlocks
+ * @property {Map<string, PollBlock>} pollBlocks
+ * @property {Map<string, SurveyBlock>} surveyBlocks
+ * @property {Map<string, DragDropBlock>} dragDropBlocks
+ * @property {Map<string, RawBlock>} rawBlocks
+ * @property {Map<string, Uint8Array>} assets - files for static/ by their path inside
+ *     it ("img/diagram.png"): transcripts, images, PDFs and other binary assets
  */
 
+/**
+ * Course tabs the Course Info sheet can list, by type, with the name
+ * learners see.
+ */
+export const COURSE_TABS = {
+    courseware: 'Course',
+    progress: 'Progress',
+    dates: 'Dates',
+    discussion: 'Discussion',
+    wiki: 'Wiki',
+    textbooks: 'Textbooks',
+    pdf_textbooks: 'Textbooks',
+    html_textbooks: 'Textbooks',
+    edxnotes: 'Notes'
+};
+
+export const DEFAULT_TABS = ['courseware', 'progress', 'dates', 'discussion'];
+
 /**
  * Create an empty CourseData object.
  */
@@ -95,64 +307,153 @@ export function createCourseData() {
             language: 'en',
             startDate: '',
             endDate: '',
-            selfPaced: true
+            selfPaced: true,
+            enrollmentStart: '',
+            enrollmentEnd: '',
+            certificateDate: '',
+            courseImage: '',
+            shortDescription: '',
+            overview: '',
+            advancedModules: [],
+            prerequisiteCourses: [],
+            invitationOnly: false,
+            tabs: [...DEFAULT_TABS],
+            hiddenTabs: []
+        },
+        grading: {
+            graders: [
+                { type: 'Homework', shortLabel: 'HW', weight: 0.5, minCount: 1, dropCount: 0 },
+                { type: 'Final Exam', shortLabel: 'Final', weight: 0.5, minCount: 1, dropCount: 0 }
+            ],
+            cutoffs: [{ grade: 'Pass', cutoff: 0.5 }]
         },
         structure: [],
         textBlocks: new Map(),
         videoBlocks: new Map(),
         problemBlocks: new Map(),
-        openResponseBlocks: new Map()
+        openResponseBlocks: new Map(),
+        discussionBlocks: new Map(),
+        ltiBlocks: new Map(),
+        libraryBlocks: new Map(),
+        pollBlocks: new Map(),
+        surveyBlocks: new Map(),
+        dragDropBlocks: new Map(),
+        rawBlocks: new Map(),
+        assets: new Map()
     };
 }
 
+/**
+ * Assign a url_name to every chapter, sequential and vertical in the structure.
+ * Explicit chapterId / sequentialId / verticalId values are used as-is; all other IDs are
+ * derived from a hash of the course key and the container's hierarchy path, so
+ * rebuilding the same workbook always produces the same OLX tree.
+ * @param {StructureRow[]} structure
+ * @param {CourseInfo} info
+ * @returns {Map<string, string>} 'ch:…' / 'seq:…' / 'vert:…' key → url_name
+ */
+export function buildIdMap(structure, info) {
+    const idMap = new Map();
+    const usedIds = new Set();
+    const courseKey = `${info.org}+${info.courseId}+${info.run}`;
+
+    // Explicit IDs first, so derived IDs can never collide with them
+    for (const row of structure) {
+        for (const { key, id } of containerKeys(row)) {
+            if (id && !idMap.has(key)) {
+                idMap.set(key, id);
+                usedIds.add(id);
+            }
+        }
+    }
+
+    for (const row of structure) {
+        for (const { key, name } of containerKeys(row)) {
+            if (idMap.has(key)) continue;
+            let id = `${sanitizeUrlName(name)}_${hashString(`${courseKey}|${key}`)}`;
+            for (let n = 1; usedIds.has(id); n++) {
+                id = `${sanitizeUrlName(name)}_${hashString(`${courseKey}|${key}|${n}`)}`;
+            }
+            idMap.set(key, id);
+            usedIds.add(id);
+        }
+    }
+
+    return idMap;
+}
+
+/**
+ * The idMap keys, display names and explicit IDs of the containers a row sits in.
+ * A container is identified by its explicit ID when one is given, otherwise by
+ * its display name, so sibling units that share a name can still be told apart.
+ */
+function containerKeys(row) {
+    const chPath = row.chapterId || row.chapter;
+    const seqPath = `${chPath}|${row.sequentialId || row.sequential}`;
+    const vertPath = `${seqPath}|${row.verticalId || row.vertical}`;
+    return [
+        { key: `ch:${chPath}`, name: row.chapter, id: row.chapterId },
+        { key: `seq:${seqPath}`, name: row.sequential, id: row.sequentialId },
+        { key: `vert:${vertPath}`, name: row.vertical, id: row.verticalId }
+    ];
+}
+
 /**
  * Build hierarchical tree from flat structure rows.
- * Returns: [{ name, id, sequentials: [{ name, id, verticals: [{ name, id, blocks: [{ type, blockId }] }] }] }]
+ * Returns: [{ name, id, sequentials: [{ name, id, graded, format, due, verticals: [{ name, id, blocks: [{ type, blockId }] }] }] }]
  */
 export function buildHierarchy(structure, idMap) {
     const chapters = [];
     const chapterMap = new Map();
 
     for (const row of structure) {
+        const [chKey, seqKey, vertKey] = containerKeys(row).map(c => c.key);
+
         // Chapter level
-        if (!chapterMap.has(row.chapter)) {
+        if (!chapterMap.has(chKey)) {
             const ch = {
                 name: row.chapter,
-                id: idMap.get(`ch:${row.chapter}`) || row.chapter,
+                id: idMap.get(chKey) || row.chapter,
                 sequentials: [],
                 _seqMap: new Map()
             };
-            chapterMap.set(row.chapter, ch);
+            chapterMap.set(chKey, ch);
             chapters.push(ch);
         }
-        const chapter = chapterMap.get(row.chapter);
+        const chapter = chapterMap.get(chKey);
 
         // Sequential level
-        const seqKey = `${row.chapter}|${row.sequential}`;
-        if (!chapter._seqMap.has(row.sequential)) {
+        if (!chapter._seqMap.has(seqKey)) {
             const seq = {
                 name: row.sequential,
-                id: idMap.get(`seq:${seqKey}`) || row.sequential,
+                id: idMap.get(seqKey) || row.sequential,
+                graded: false,
+                format: '',
+                due: '',
                 verticals: [],
                 _vertMap: new Map()
             };
-            chapter._seqMap.set(row.sequential, seq);
+            chapter._seqMap.set(seqKey, seq);
             chapter.sequentials.push(seq);
         }
-        const sequential = chapter._seqMap.get(row.sequential);
+        const sequential = chapter._seqMap.get(seqKey);
+
+        // Subsection grading settings may be given on any of its rows
+        if (row.graded) sequential.graded = true;
+        if (row.format && !sequential.format) sequential.format = row.format;
+        if (row.due && !sequential.due) sequential.due = row.due;
 
         // Vertical level
-        const vertKey = `${seqKey}|${row.vertical}`;
-        if (!sequential._vertMap.has(row.vertical)) {
+        if (!sequential._vertMap.has(vertKey)) {
             const vert = {
                 name: row.vertical,
-                id: idMap.get(`vert:${vertKey}`) || row.vertical,
+                id: idMap.get(vertKey) || row.vertical,
                 blocks: []
             };
-            sequential._vertMap.set(row.vertical, vert);
+            sequential._vertMap.set(vertKey, vert);
             sequential.verticals.push(vert);
         }
-        const vertical = sequential._vertMap.get(row.vertical);
+        const vertical = sequential._vertMap.get(vertKey);
 
         // Add block reference
         vertical.blocks.push({
@@ -1,12 +1,20 @@
 /**
  * OLX Reverse Parser — reads extracted OLX files and builds a CourseData model.
  * This is the reverse of the generators: OLX XML → internal model → Excel.
+ * XML is read with a spec-compliant DOM parser (@xmldom/xmldom), which runs
+ * the same way in the browser, in Electron and in Node.
  */
-import { createCourseData } from './model.js';
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import { createCourseData, COURSE_TABS } from './model.js';
+import { hashString, escapeXml, textToHtml } from './utils.js';
 
 /**
  * Parse extracted OLX files into CourseData.
- * @param {Map<string, string>} files - filePath → content (from extractTarGz)
+ * Warnings are prefixed with the file and line they refer to, e.g.
+ * "vertical/abc.xml:3: Problem file not found: problem/q1.xml".
+ * Files under static/ (images, PDFs, transcripts…) are copied into data.assets.
+ * @param {Map<string, string|Uint8Array>} files - filePath → content (from extractTarGz:
+ *     OLX files as text, static/ files as bytes)
  * @returns {{ data: import('./model.js').CourseData, warnings: string[] }}
  */
 export function parseOlx(files) {
@@ -14,27 +22,38 @@ export function parseOlx(files) {
     const warnings = [];
 
     // --- Step 1: Parse course.xml to get the run/url_name ---
-    const courseXml = files.get('course.xml');
-    if (!courseXml) {
+    if (!files.has('course.xml')) {
         warnings.push('Missing course.xml — cannot determine course structure.');
         return { data, warnings };
     }
+    const courseEl = loadXml(files, 'course.xml', warnings);
+    if (!courseEl) return { data, warnings };
 
-    const courseAttrs = parseXmlAttributes(courseXml);
-    const run = courseAttrs.url_name || '';
-    data.info.org = courseAttrs.org || '';
-    data.info.courseId = courseAttrs.course || '';
+    const run = attr(courseEl, 'url_name');
+    data.info.org = attr(courseEl, 'org');
+    data.info.courseId = attr(courseEl, 'course');
     data.info.run = run;
 
     // --- Step 2: Parse course/{run}.xml for metadata and chapter list ---
-    const courseRunXml = files.get(`course/${run}.xml`);
-    if (courseRunXml) {
-        const runAttrs = parseXmlAttributes(courseRunXml);
-        data.info.courseName = runAttrs.display_name || '';
-        data.info.language = runAttrs.language || 'en';
-        data.info.selfPaced = runAttrs.self_paced === 'true';
-        if (runAttrs.start) data.info.startDate = runAttrs.start;
-        if (runAttrs.end) data.info.endDate = runAttrs.end;
+    // (or course.xml itself, when the whole course is written inline)
+    const courseRun = files.has(`course/${run}.xml`) || isInline(courseEl)
+        ? resolveElement(files, courseEl, 'course.xml', warnings)
+        : null;
+    const courseRunEl = courseRun && courseRun.el;
+    if (courseRunEl) {
+        data.info.courseName = attr(courseRunEl, 'display_name');
+        data.info.language = attr(courseRunEl, 'language') || 'en';
+        data.info.selfPaced = attr(courseRunEl, 'self_paced') === 'true';
+        if (courseRunEl.hasAttribute('start')) data.info.startDate = dateAttr(courseRunEl, 'start');
+        if (courseRunEl.hasAttribute('end')) data.info.endDate = dateAttr(courseRunEl, 'end');
+        data.info.enrollmentStart = dateAttr(courseRunEl, 'enrollment_start');
+        data.info.enrollmentEnd = dateAttr(courseRunEl, 'enrollment_end');
+        data.info.certificateDate = dateAttr(courseRunEl, 'certificate_available_date');
+        data.info.courseImage = attr(courseRunEl, 'course_image');
+        data.info.invitationOnly = attr(courseRunEl, 'invitation_only') === 'true';
+        if (courseRunEl.hasAttribute('advanced_modules')) {
+            data.info.advancedModules = jsonAttr(courseRunEl, 'advanced_modules', run, warnings).map(String);
+        }
     }
 
     // --- Step 3: Parse policies for additional metadata ---
@@ -48,106 +67,208 @@ export function parseOlx(files) {
             }
             if (coursePolicy.language) data.info.language = coursePolicy.language;
             if (coursePolicy.self_paced !== undefined) data.info.selfPaced = coursePolicy.self_paced;
+            if (coursePolicy.enrollment_start) data.info.enrollmentStart = coursePolicy.enrollment_start;
+            if (coursePolicy.enrollment_end) data.info.enrollmentEnd = coursePolicy.enrollment_end;
+            if (coursePolicy.certificate_available_date) data.info.certificateDate = coursePolicy.certificate_available_date;
+            if (coursePolicy.course_image) data.info.courseImage = coursePolicy.course_image;
+            if (Array.isArray(coursePolicy.advanced_modules)) data.info.advancedModules = coursePolicy.advanced_modules.map(String);
+            if (Array.isArray(coursePolicy.pre_requisite_courses)) {
+                data.info.prerequisiteCourses = coursePolicy.pre_requisite_courses.map(String);
+            }
+            if (coursePolicy.invitation_only !== undefined) data.info.invitationOnly = coursePolicy.invitation_only === true;
+            // Passports are "lti_id:client_key:client_secret"; secrets stay out of the workbook
+            if (Array.isArray(coursePolicy.lti_passports) && coursePolicy.lti_passports.length > 0) {
+                const ids = coursePolicy.lti_passports.map(p => String(p).split(':')[0]);
+                warnings.push(`policies/${run}/policy.json: LTI passports (${ids.join(', ')}) contain client secrets and were not imported; re-enter them in Studio under Advanced Settings.`);
+            }
+            if (Array.isArray(coursePolicy.tabs)) {
+                data.info.tabs = [];
+                data.info.hiddenTabs = [];
+                for (const tab of coursePolicy.tabs) {
+                    if (!COURSE_TABS[tab.type]) {
+                        warnings.push(`policies/${run}/policy.json: "${tab.name || tab.type}" tab (${tab.type}) is not supported and was not imported.`);
+                        continue;
+                    }
+                    data.info.tabs.push(tab.type);
+                    if (tab.is_hidden) data.info.hiddenTabs.push(tab.type);
+                }
+            }
         } catch (e) {
             warnings.push(`Could not parse policies/${run}/policy.json`);
         }
     }
 
-    // --- Step 4: Walk the hierarchy: chapters → sequentials → verticals → blocks ---
-    const chapterIds = extractChildIds(courseRunXml || '', 'chapter');
+    // The About page's overview and short description are files of their own
+    for (const [file, key] of [['about/overview.html', 'overview'], ['about/short_description.html', 'shortDescription']]) {
+        if (typeof files.get(file) === 'string') data.info[key] = files.get(file).trim();
+    }
 
-    for (const chId of chapterIds) {
-        const chXml = files.get(`chapter/${chId}.xml`);
-        if (!chXml) {
-            warnings.push(`Chapter file not found: chapter/${chId}.xml`);
-            continue;
-        }
-        const chAttrs = parseXmlAttributes(chXml);
-        const chapterName = chAttrs.display_name || chId;
-
-        const seqIds = extractChildIds(chXml, 'sequential');
-        for (const seqId of seqIds) {
-            const seqXml = files.get(`sequential/${seqId}.xml`);
-            if (!seqXml) {
-                warnings.push(`Sequential file not found: sequential/${seqId}.xml`);
-                continue;
+    const gradingFile = files.get(`policies/${run}/grading_policy.json`);
+    if (gradingFile) {
+        try {
+            const gradingPolicy = JSON.parse(gradingFile);
+            if (Array.isArray(gradingPolicy.GRADER)) {
+                data.grading.graders = gradingPolicy.GRADER.map(g => ({
+                    type: g.type || '',
+                    shortLabel: g.short_label || '',
+                    weight: Number(g.weight) || 0,
+                    minCount: Number(g.min_count) || 0,
+                    dropCount: Number(g.drop_count) || 0
+                }));
             }
-            const seqAttrs = parseXmlAttributes(seqXml);
-            const seqName = seqAttrs.display_name || seqId;
-
-            const vertIds = extractChildIds(seqXml, 'vertical');
-            for (const vertId of vertIds) {
-                const vertXml = files.get(`vertical/${vertId}.xml`);
-                if (!vertXml) {
-                    warnings.push(`Vertical file not found: vertical/${vertId}.xml`);
-                    continue;
-                }
-                const vertAttrs = parseXmlAttributes(vertXml);
-                const vertName = vertAttrs.display_name || vertId;
+            if (gradingPolicy.GRADE_CUTOFFS) {
+                data.grading.cutoffs = Object.entries(gradingPolicy.GRADE_CUTOFFS)
+                    .map(([grade, cutoff]) => ({ grade, cutoff: Number(cutoff) }))
+                    .sort((a, b) => b.cutoff - a.cutoff);
+            }
+        } catch (e) {
+            warnings.push(`Could not parse policies/${run}/grading_policy.json`);
+        }
+    }
+
+    // --- Step 4: Walk the hierarchy: chapters → sequentials → verticals → blocks ---
+    // Each level may be a url_name pointer to its own file or written inline.
+    const chapterRefs = courseRunEl ? childElements(courseRunEl, 'chapter') : [];
+
+    for (const chRef of chapterRefs) {
+        const ch = resolveElement(files, chRef, courseRun.file, warnings);
+        if (!ch) continue;
+        const chapterName = attr(ch.el, 'display_name') || ch.id;
+
+        for (const seqRef of childElements(ch.el, 'sequential')) {
+            const seq = resolveElement(files, seqRef, ch.file, warnings);
+            if (!seq) continue;
+            const seqName = attr(seq.el, 'display_name') || seq.id;
+            const graded = attr(seq.el, 'graded') === 'true';
+            const format = attr(seq.el, 'format');
+            const due = dateAttr(seq.el, 'due');
+
+            for (const vertRef of childElements(seq.el, 'vertical')) {
+                const vert = resolveElement(files, vertRef, seq.file, warnings);
+                if (!vert) continue;
+                const vertName = attr(vert.el, 'display_name') || vert.id;
 
                 // Extract all blocks from this vertical
-                const blocks = extractBlocks(vertXml);
-                for (const block of blocks) {
+                const blocks = collectBlocks(files, vert, warnings);
+                for (const { el, file } of blocks) {
                     let blockType;
-                    let blockId = block.url_name;
+                    let parse;
 
-                    switch (block.tag) {
+                    switch (el.tagName) {
                         case 'html':
                             blockType = 'text';
-                            parseHtmlBlock(files, blockId, data, warnings);
+                            parse = parseHtmlBlock;
                             break;
                         case 'video':
                             blockType = 'video';
-                            parseVideoBlock(files, blockId, block, data, warnings);
+                            parse = parseVideoBlock;
                             break;
                         case 'problem':
                             blockType = 'problem';
-                            parseProblemBlock(files, blockId, data, warnings);
+                            parse = parseProblemBlock;
                             break;
                         case 'openassessment':
                             blockType = 'openresponse';
-                            parseOpenResponseBlock(files, blockId, data, warnings);
+                            parse = parseOpenResponseBlock;
                             break;
-                        // Known block types that don't carry extractable content
-                        case 'library_content':
                         case 'discussion':
+                            blockType = 'discussion';
+                            parse = parseDiscussionBlock;
+                            break;
                         case 'lti':
                         case 'lti_consumer':
-                            continue; // skip silently
+                            blockType = 'lti';
+                            parse = parseLtiBlock;
+                            break;
+                        case 'library_content':
+                            blockType = 'library';
+                            parse = parseLibraryBlock;
+                            break;
+                        case 'poll':
+                            blockType = 'poll';
+                            parse = parsePollBlock;
+                            break;
+                        case 'survey':
+                            blockType = 'survey';
+                            parse = parseSurveyBlock;
+                            break;
+                        case 'drag-and-drop-v2':
+                            blockType = 'dragdrop';
+                            parse = parseDragDropBlock;
+                            break;
+                        // Anything else is kept verbatim
                         default:
-                            warnings.push(`Unknown block type "${block.tag}" in vertical ${vertId}, skipping.`);
-                            continue;
+                            blockType = 'raw';
+                            parse = parseRawBlock;
                     }
 
-                    if (blockType && blockId) {
-                        data.structure.push({
-                            chapter: chapterName,
-                            sequential: seqName,
-                            vertical: vertName,
-                            blockType,
-                            blockId
-                        });
-                    }
+                    const block = resolveElement(files, el, file, warnings);
+                    if (!block) continue;
+                    parse(files, block, data, warnings);
+
+                    data.structure.push({
+                        chapter: chapterName,
+                        sequential: seqName,
+                        vertical: vertName,
+                        blockType,
+                        blockId: block.id,
+                        chapterId: ch.id,
+                        sequentialId: seq.id,
+                        verticalId: vert.id,
+                        graded,
+                        format,
+                        due
+                    });
                 }
             }
         }
     }
 
+    // --- Step 5: Static assets ---
+    for (const [path, content] of files) {
+        if (!path.startsWith('static/') || path.endsWith('.srt.sjson')) continue;
+        const name = path.slice('static/'.length);
+        if (name && !data.assets.has(name)) {
+            data.assets.set(name, content);
+        }
+    }
+
     return { data, warnings };
 }
 
+/**
+ * List the component elements of a resolved vertical. Nested <vertical>
+ * wrappers are flattened, so their components land in the enclosing unit.
+ * @returns {Array<{ el: Element, file: string }>}
+ */
+function collectBlocks(files, vert, warnings) {
+    const blocks = [];
+    for (const child of childElements(vert.el)) {
+        if (child.tagName !== 'vertical') {
+            blocks.push({ el: child, file: vert.file });
+            continue;
+        }
+        const nested = resolveElement(files, child, vert.file, warnings);
+        if (nested) blocks.push(...collectBlocks(files, nested, warnings));
+    }
+    return blocks;
+}
+
 // --- Block Parsers ---
 
-function parseHtmlBlock(files, blockId, data, warnings) {
+function parseHtmlBlock(files, { el, id: blockId }, data, warnings) {
     if (data.textBlocks.has(blockId)) return;
 
-    const xmlFile = files.get(`html/${blockId}.xml`);
-    const xmlAttrs = xmlFile ? parseXmlAttributes(xmlFile) : {};
-    const title = xmlAttrs.display_name || blockId;
+    const title = attr(el, 'display_name') || blockId;
 
-    // The content is in an .html file, referenced by the filename attribute
-    const htmlFilename = xmlAttrs.filename || blockId;
-    const htmlContent = files.get(`html/${htmlFilename}.html`) || '';
+    // The content is either inline, or in an .html file referenced by the filename attribute
+    let htmlContent;
+    if (!el.hasAttribute('filename') && hasContent(el)) {
+        htmlContent = innerXml(el);
+    } else {
+        const htmlFilename = attr(el, 'filename') || blockId;
+        htmlContent = files.get(`html/${htmlFilename}.html`) || '';
+    }
 
     data.textBlocks.set(blockId, {
         blockId,
@@ -156,232 +277,949 @@ function parseHtmlBlock(files, blockId, data, warnings) {
     });
 }
 
-function parseVideoBlock(files, blockId, inlineAttrs, data, warnings) {
+function parseVideoBlock(files, { el, id: blockId }, data, warnings) {
     if (data.videoBlocks.has(blockId)) return;
 
-    const xmlFile = files.get(`video/${blockId}.xml`);
-    const attrs = xmlFile ? parseXmlAttributes(xmlFile) : inlineAttrs;
-
-    const title = attrs.display_name || blockId;
+    const title = attr(el, 'display_name') || blockId;
 
     // YouTube ID from youtube_id_1_0 or parse from youtube="1.00:ID"
-    let youtubeId = attrs.youtube_id_1_0 || '';
-    if (!youtubeId && attrs.youtube) {
-        const match = attrs.youtube.match(/1\.00:(\S+)/);
+    let youtubeId = attr(el, 'youtube_id_1_0');
+    if (!youtubeId && el.hasAttribute('youtube')) {
+        const match = attr(el, 'youtube').match(/1\.00:(\S+)/);
         if (match) youtubeId = match[1];
     }
 
-    // HTML5 sources
+    // HTML5 sources: a JSON array attribute, or <source src="…"/> children
     let html5Url = '';
-    if (attrs.html5_sources) {
+    const html5Sources = attr(el, 'html5_sources');
+    if (html5Sources) {
         try {
-            // It might be a JSON array or HTML-encoded
-            const decoded = attrs.html5_sources.replace(/&quot;/g, '"');
-            const arr = JSON.parse(decoded);
+            const arr = JSON.parse(html5Sources);
             html5Url = arr[0] || '';
         } catch (e) {
             // Try as plain string
-            html5Url = attrs.html5_sources;
+            html5Url = html5Sources;
         }
     }
+    if (!html5Url) {
+        const source = childElements(el, 'source')[0];
+        if (source) html5Url = attr(source, 'src');
+    }
 
     data.videoBlocks.set(blockId, {
         blockId,
         title,
         youtubeId,
         html5Url,
-        startTime: attrs.start_time || '00:00:00',
-        endTime: attrs.end_time || '00:00:00'
+        startTime: attr(el, 'start_time') || '00:00:00',
+        endTime: attr(el, 'end_time') || '00:00:00',
+        transcripts: parseVideoTranscripts(files, el, blockId, data, warnings)
     });
 }
 
-function parseProblemBlock(files, blockId, data, warnings) {
-    if (data.problemBlocks.has(blockId)) return;
+/**
+ * Collect a video's transcripts from the transcripts JSON attribute,
+ * <transcript> children and the legacy English "sub" attribute. SJSON
+ * transcripts are converted to SRT and added to data.assets.
+ */
+function parseVideoTranscripts(files, el, blockId, data, warnings) {
+    const byLanguage = new Map();
 
-    const xmlFile = files.get(`problem/${blockId}.xml`);
-    if (!xmlFile) {
-        warnings.push(`Problem file not found: problem/${blockId}.xml`);
-        return;
+    const transcriptsAttr = attr(el, 'transcripts');
+    if (transcriptsAttr) {
+        try {
+            for (const [language, src] of Object.entries(JSON.parse(transcriptsAttr))) {
+                if (src) byLanguage.set(language, src);
+            }
+        } catch (e) {
+            warnings.push(`Video "${blockId}": could not parse transcripts attribute.`);
+        }
+    }
+    for (const t of childElements(el, 'transcript')) {
+        const language = attr(t, 'language');
+        const src = attr(t, 'src');
+        if (language && src) byLanguage.set(language, src);
     }
 
-    const attrs = parseXmlAttributes(xmlFile);
-    const title = attrs.display_name || blockId;
+    const transcripts = [];
+    for (const [language, src] of byLanguage) {
+        if (!files.has(`static/${src}`)) {
+            warnings.push(`Video "${blockId}": ${language} transcript static/${src} not found.`);
+            continue;
+        }
+        transcripts.push({ language, file: src });
+    }
+
+    // Older courses store only an English subs_{sub}.srt.sjson file
+    const sub = attr(el, 'sub');
+    if (sub && !byLanguage.has('en')) {
+        const sjson = files.get(`static/subs_${sub}.srt.sjson`);
+        if (sjson !== undefined) {
+            try {
+                const srtName = `${sub}.srt`;
+                data.assets.set(srtName, new TextEncoder().encode(sjsonToSrt(JSON.parse(new TextDecoder().decode(sjson)))));
+                transcripts.push({ language: 'en', file: srtName });
+            } catch (e) {
+                warnings.push(`Video "${blockId}": could not read static/subs_${sub}.srt.sjson.`);
+            }
+        }
+    }
+
+    return transcripts;
+}
+
+/**
+ * Convert an edX SJSON transcript ({start, end, text} arrays in ms) to SRT.
+ */
+function sjsonToSrt(sjson) {
+    const time = ms => {
+        const h = Math.floor(ms / 3600000);
+        const m = Math.floor(ms / 60000) % 60;
+        const s = Math.floor(ms / 1000) % 60;
+        const pad = (n, w = 2) => String(n).padStart(w, '0');
+        return `${pad(h)}:${pad(m)}:${pad(s)},${pad(ms % 1000, 3)}`;
+    };
+    return sjson.text
+        .map((text, i) => `${i + 1}\n${time(sjson.start[i])} --> ${time(sjson.end[i])}\n${text}`)
+        .join('\n\n') + '\n';
+}
+
+function parseProblemBlock(files, { el, file, id: blockId }, data, warnings) {
+    if (data.problemBlocks.has(blockId)) return;
 
-    // Parse question text from <label> tag
-    const labelMatch = xmlFile.match(/<label>([\s\S]*?)<\/label>/);
-    let questionText = labelMatch ? stripTags(labelMatch[1]).trim() : '';
+    const title = attr(el, 'display_name') || blockId;
 
-    if (!questionText) {
-        // Fallback: look for text before <choicegroup> or <checkboxgroup>
-        const preGroupMatch = xmlFile.match(/<(?:choiceresponse|multiplechoiceresponse)>([\s\S]*?)<(?:choicegroup|checkboxgroup)/);
-        if (preGroupMatch) {
-            questionText = stripTags(preGroupMatch[1]).trim();
+    if (needsRawXml(el)) {
+        const rawXml = originalXml(files, el, file, blockId);
+        if (rawXml.length > EXCEL_CELL_LIMIT) {
+            warnings.push(`Problem "${blockId}": longer than an Excel cell holds (${EXCEL_CELL_LIMIT} characters); editing the workbook in Excel may cut it short.`);
         }
+        data.problemBlocks.set(blockId, {
+            blockId,
+            title,
+            problemType: '',
+            questionText: '',
+            choices: [],
+            compoundHints: [],
+            partialCredit: '',
+            answer: '',
+            tolerance: '',
+            additionalAnswers: [],
+            caseSensitive: false,
+            explanation: '',
+            demandHints: [],
+            showAnswer: '',
+            weight: '',
+            maxAttempts: '',
+            rerandomize: '',
+            showResetButton: null,
+            isMultiSelect: false,
+            rawXml
+        });
+        return;
     }
 
-    // Parse choices
+    const response = childElements(el).find(child => SUPPORTED_RESPONSES.includes(child.tagName));
+
+    // The question is everything ahead of the answer input (<choicegroup>,
+    // <textline>, …), in the response or the problem before it: usually a
+    // single <label>, sometimes paragraphs, images and code as well
+    const stem = [...nodesBefore(el, response), ...nodesBefore(response)]
+        .filter(node => !(node.nodeType === ELEMENT_NODE && NON_STEM_TAGS.includes(node.tagName)));
+    const parts = significantNodes(stem);
+    const questionText = parts.length === 1 && parts[0].nodeType === ELEMENT_NODE && parts[0].tagName === 'label'
+        ? inlineHtml(parts[0].childNodes)
+        : blockHtml(stem);
+
+    let problemType;
     const choices = [];
-    const choiceRegex = /<choice\s+correct="(true|false)">([\s\S]*?)<\/choice>/g;
-    let match;
-    while ((match = choiceRegex.exec(xmlFile)) !== null) {
-        const correct = match[1] === 'true';
-        const choiceContent = match[2];
-
-        // Extract hint if present
-        const hintMatch = choiceContent.match(/<choicehint[^>]*>([\s\S]*?)<\/choicehint>/);
-        const hint = hintMatch ? stripTags(hintMatch[1]).trim() : '';
-
-        // Extract choice text (everything before the hint tag)
-        let text = choiceContent;
-        if (hintMatch) {
-            text = choiceContent.substring(0, choiceContent.indexOf('<choicehint'));
-        }
-        text = stripTags(text).trim();
+    let answer = '';
+    let tolerance = '';
+    let additionalAnswers = [];
+    let caseSensitive = false;
 
-        choices.push({ text, correct, hint });
+    switch (response.tagName) {
+        case 'numericalresponse': {
+            problemType = 'numerical';
+            answer = attr(response, 'answer');
+            const toleranceParam = childElements(response, 'responseparam')
+                .find(p => attr(p, 'type') === 'tolerance');
+            if (toleranceParam) tolerance = attr(toleranceParam, 'default');
+            break;
+        }
+        case 'stringresponse':
+            problemType = 'text-input';
+            answer = attr(response, 'answer');
+            caseSensitive = attr(response, 'type').split(/\s+/).includes('cs');
+            additionalAnswers = childElements(response, 'additional_answer')
+                .map(a => attr(a, 'answer') || normalizeText(a.textContent))
+                .filter(Boolean);
+            break;
+        case 'optionresponse':
+            problemType = 'dropdown';
+            choices.push(...parseOptionInput(response));
+            break;
+        default:
+            problemType = el.getElementsByTagName('checkboxgroup').length > 0 ? 'multi-select' : 'single-select';
+            choices.push(...parseChoices(el));
     }
 
-    // Parse explanation from <solution>
-    const solMatch = xmlFile.match(/<solution>([\s\S]*?)<\/solution>/);
-    const explanation = solMatch ? stripTags(solMatch[1]).replace(/Explanation\s*/i, '').trim() : '';
+    const compoundHints = Array.from(el.getElementsByTagName('compoundhint')).map(hint => ({
+        choices: attr(hint, 'value').toUpperCase().split(/[\s,]+/).filter(Boolean).sort(),
+        hint: inlineHtml(hint.childNodes)
+    }));
+    const partialCredit = partialCreditMode(response);
+
+    const solution = el.getElementsByTagName('solution')[0];
+    const explanation = solution ? solutionHtml(solution) : '';
 
-    const isMultiSelect = xmlFile.includes('<checkboxgroup');
+    const demandHints = childElements(el, 'demandhint')
+        .flatMap(demand => childElements(demand, 'hint'))
+        .map(hint => inlineHtml(hint.childNodes));
 
     data.problemBlocks.set(blockId, {
         blockId,
         title,
+        problemType,
         questionText,
         choices,
+        compoundHints,
+        partialCredit,
+        answer,
+        tolerance,
+        additionalAnswers,
+        caseSensitive,
         explanation,
-        showAnswer: attrs.showanswer || 'attempted',
-        isMultiSelect
+        demandHints,
+        showAnswer: attr(el, 'showanswer') || 'attempted',
+        weight: attr(el, 'weight'),
+        maxAttempts: attr(el, 'max_attempts'),
+        rerandomize: attr(el, 'rerandomize'),
+        showResetButton: el.hasAttribute('show_reset_button') ? attr(el, 'show_reset_button') === 'true' : null,
+        isMultiSelect: problemType === 'multi-select',
+        rawXml: ''
     });
 }
 
-function parseOpenResponseBlock(files, blockId, data, warnings) {
-    if (data.openResponseBlocks.has(blockId)) return;
+/** CAPA responses the Problems sheet has columns for. */
+const SUPPORTED_RESPONSES = ['numericalresponse', 'stringresponse', 'optionresponse', 'choiceresponse', 'multiplechoiceresponse'];
 
-    const xmlFile = files.get(`openassessment/${blockId}.xml`);
-    if (!xmlFile) {
-        warnings.push(`Open response file not found: openassessment/${blockId}.xml`);
-        return;
+/** CAPA elements the Problems sheet has no columns for. */
+const UNSUPPORTED_TAGS = ['script', 'hintgroup', 'stringequalhint', 'correcthint'];
+
+/** Choices the Problems sheet has columns for: choice_a … choice_f. */
+const MAX_CHOICES = 6;
+
+/** Elements that may follow the answer input in the response, and the response in the problem. */
+const AFTER_INPUT_TAGS = ['solution', 'additional_answer', 'responseparam'];
+const AFTER_RESPONSE_TAGS = ['solution', 'demandhint'];
+
+/** Partial credit modes the sheet has, by response: multi-select and single-select problems. */
+const PARTIAL_CREDIT_MODES = {
+    choiceresponse: ['EDC', 'halves'],
+    multiplechoiceresponse: ['points']
+};
+
+/**
+ * A response's partial_credit attribute as one of its PARTIAL_CREDIT_MODES,
+ * '' when not set, or null when it's another mode.
+ */
+function partialCreditMode(response) {
+    const value = attr(response, 'partial_credit').trim().toLowerCase();
+    if (!value) return '';
+    return (PARTIAL_CREDIT_MODES[response.tagName] || []).find(mode => mode.toLowerCase() === value) || null;
+}
+
+/** Whether a choice's point_value is a share of the score, between 0 and 1. */
+function isPointValue(value) {
+    return Number(value) > 0 && Number(value) < 1;
+}
+
+/**
+ * Whether a problem uses anything the Problems sheet would lose: another
+ * response type or several responses, Python scripts, answer hints of
+ * text and numerical problems, partial credit other than a multi-select's
+ * EDC or halves and a single-select's points, regular-expression or range
+ * answers, shuffled choices, more choices than the sheet has columns for,
+ * or content after the answer input. Such problems are kept as their
+ * original XML instead.
+ */
+function needsRawXml(el) {
+    const responses = Array.from(el.getElementsByTagName('*')).filter(node => node.tagName.endsWith('response'));
+    if (responses.length !== 1) return true;
+    const [response] = responses;
+    if (!SUPPORTED_RESPONSES.includes(response.tagName) || response.parentNode !== el) return true;
+    if (UNSUPPORTED_TAGS.some(tag => el.getElementsByTagName(tag).length > 0)) return true;
+    if (partialCreditMode(response) === null) return true;
+    const compoundHints = Array.from(el.getElementsByTagName('compoundhint'));
+    if (compoundHints.length > 0 && response.tagName !== 'choiceresponse') return true;
+
+    switch (response.tagName) {
+        case 'numericalresponse':
+            if (/[[\]()$]/.test(attr(response, 'answer'))) return true;
+            if (childElements(response, 'responseparam').some(p => attr(p, 'type') !== 'tolerance')) return true;
+            break;
+        case 'optionresponse':
+            if (parseOptionInput(response).length > MAX_CHOICES) return true;
+            if (Array.from(response.getElementsByTagName('option')).some(option => attr(option, 'correct').toLowerCase() === 'partial')) return true;
+            break;
+        case 'stringresponse':
+            if (attr(response, 'type').split(/\s+/).some(t => t && t !== 'ci' && t !== 'cs')) return true;
+            break;
+        case 'choiceresponse':
+        case 'multiplechoiceresponse': {
+            const group = childElements(response, 'choicegroup')[0] || childElements(response, 'checkboxgroup')[0];
+            if (group && (attr(group, 'shuffle') === 'true' || group.hasAttribute('answer-pool'))) return true;
+            if (Array.from(el.getElementsByTagName('choicehint')).some(hint => hint.hasAttribute('selected'))) return true;
+            const choices = group ? childElements(group, 'choice') : [];
+            if (choices.length > MAX_CHOICES) return true;
+            // Part credit for a choice needs points scoring and a share of the score
+            const points = partialCreditMode(response) === 'points';
+            if (choices.some(choice => attr(choice, 'correct').toLowerCase() === 'partial'
+                && !(points && isPointValue(attr(choice, 'point_value'))))) return true;
+            // Compound hints name the choices by position: A, B, …
+            const letters = choices.map((_, i) => String.fromCharCode(65 + i));
+            if (compoundHints.some(hint => attr(hint, 'value').toUpperCase().split(/[\s,]+/).filter(Boolean)
+                .some(letter => !letters.includes(letter)))) return true;
+            break;
+        }
     }
 
-    const attrs = parseXmlAttributes(xmlFile);
-    const title = attrs.display_name || blockId;
+    // Only the solution and answer settings may follow the input, and only
+    // the solution and demand hints the response
+    const inputs = Array.from(response.childNodes).filter(node => node.nodeType === ELEMENT_NODE && INPUT_TAGS.includes(node.tagName));
+    if (inputs.length !== 1) return true;
+    const allowed = (nodes, tags) => significantNodes(nodes).every(node => node.nodeType === ELEMENT_NODE && tags.includes(node.tagName));
+    return !allowed(nodesAfter(response, inputs[0]), AFTER_INPUT_TAGS) || !allowed(nodesAfter(el, response), AFTER_RESPONSE_TAGS);
+}
+
+/** Elements ahead of the answer input that are not part of the question. */
+const NON_STEM_TAGS = ['responseparam', 'additional_answer', 'solution'];
+
+/**
+ * The child nodes of el before `stop` (or before its first answer input).
+ */
+function nodesBefore(el, stop = null) {
+    const nodes = [];
+    for (const node of Array.from(el.childNodes)) {
+        if (node === stop) break;
+        if (!stop && node.nodeType === ELEMENT_NODE && INPUT_TAGS.includes(node.tagName)) break;
+        nodes.push(node);
+    }
+    return nodes;
+}
+
+/**
+ * The child nodes of el after `start`.
+ */
+function nodesAfter(el, start) {
+    const nodes = Array.from(el.childNodes);
+    return nodes.slice(nodes.indexOf(start) + 1);
+}
+
+/** Nodes other than comments and whitespace between elements. */
+function significantNodes(nodes) {
+    return Array.from(nodes).filter(node => node.nodeType === ELEMENT_NODE
+        || ((node.nodeType === TEXT_NODE || node.nodeType === CDATA_NODE) && node.textContent.trim()));
+}
+
+/**
+ * Content that may be plain text or HTML (a label, a choice, a hint):
+ * plain text is returned as text, markup is kept as it is.
+ */
+function inlineHtml(nodes) {
+    nodes = Array.from(nodes).filter(node => node.nodeType !== COMMENT_NODE);
+    if (!nodes.some(node => node.nodeType === ELEMENT_NODE)) {
+        return normalizeText(nodes.map(node => node.textContent).join(' '));
+    }
+    const serializer = new XMLSerializer();
+    return nodes.map(node => serializer.serializeToString(node)).join('').trim();
+}
+
+/**
+ * Block content (paragraphs, images, code…), one element per line, or plain
+ * text when there is no markup.
+ */
+function blockHtml(nodes) {
+    const parts = significantNodes(nodes);
+    if (!parts.some(node => node.nodeType === ELEMENT_NODE)) return inlineHtml(parts);
+    const serializer = new XMLSerializer();
+    return parts.map(node => node.nodeType === ELEMENT_NODE
+        ? serializer.serializeToString(node)
+        : escapeXml(normalizeText(node.textContent))).join('\n');
+}
+
+/**
+ * A problem's explanation. The usual Studio form, an "Explanation" heading
+ * and one paragraph of text, is read as that text, and richer content
+ * under that heading as its markup; a solution without the heading keeps
+ * its detailed-solution markup whole.
+ */
+function solutionHtml(solution) {
+    const [only, ...others] = significantNodes(solution.childNodes);
+    const detailed = only && others.length === 0 && only.nodeType === ELEMENT_NODE
+        && attr(only, 'class').split(/\s+/).includes('detailed-solution') ? only : null;
+
+    const parts = significantNodes((detailed || solution).childNodes);
+    const heading = parts[0] && parts[0].nodeType === ELEMENT_NODE && parts[0].tagName === 'p'
+        && normalizeText(parts[0].textContent) === 'Explanation';
+    if (heading) parts.shift();
+    if (!parts.some(node => node.nodeType === ELEMENT_NODE)) {
+        return inlineHtml(parts).replace(/^Explanation\s*/i, '');
+    }
+    if (parts.length === 1 && parts[0].tagName === 'p'
+        && !significantNodes(parts[0].childNodes).some(node => node.nodeType === ELEMENT_NODE)) {
+        return normalizeText(parts[0].textContent);
+    }
+    return detailed && !heading ? new XMLSerializer().serializeToString(detailed) : blockHtml(parts);
+}
+
+/**
+ * Read <choice> elements (with optional <choicehint>) of a select problem.
+ */
+function parseChoices(el) {
+    return Array.from(el.getElementsByTagName('choice')).map(choice => {
+        const [text, hint] = splitHint(choice, 'choicehint');
+        const correct = attr(choice, 'correct').toLowerCase();
+        return { text, correct: correct === 'true', hint, pointValue: correct === 'partial' ? attr(choice, 'point_value') : '' };
+    });
+}
+
+/**
+ * Read the options of a dropdown problem, either as <option> children or in
+ * the older options="('a','b')" correct="b" attribute form.
+ */
+function parseOptionInput(response) {
+    const input = response.getElementsByTagName('optioninput')[0];
+    if (!input) return [];
+
+    const options = childElements(input, 'option');
+    if (options.length > 0) {
+        return options.map(option => {
+            const [text, hint] = splitHint(option, 'optionhint');
+            return { text, correct: attr(option, 'correct').toLowerCase() === 'true', hint, pointValue: '' };
+        });
+    }
+
+    const correct = attr(input, 'correct');
+    const labels = [...attr(input, 'options').matchAll(/'((?:[^'\\]|\\.)*)'/g)].map(m => m[1]);
+    return labels.map(text => ({ text, correct: text === correct, hint: '', pointValue: '' }));
+}
+
+/**
+ * Split an answer element into its own text and the text of its hint child.
+ */
+function splitHint(el, hintTag) {
+    const hintEl = childElements(el, hintTag)[0];
+    const hint = hintEl ? inlineHtml(hintEl.childNodes) : '';
+    const text = inlineHtml(Array.from(el.childNodes).filter(node => node !== hintEl));
+    return [text, hint];
+}
+
+function parseOpenResponseBlock(files, { el, id: blockId }, data, warnings) {
+    if (data.openResponseBlocks.has(blockId)) return;
+
+    const title = attr(el, 'display_name') || blockId;
 
-    // Parse prompt
-    const descMatch = xmlFile.match(/<description>([\s\S]*?)<\/description>/);
-    const prompt = descMatch ? stripTags(descMatch[1]).trim() : '';
+    // Prompts are in <prompts>, or a single <prompt> in older blocks. Text
+    // prompts become HTML so their line breaks survive.
+    const promptsEl = childElements(el, 'prompts')[0];
+    const html = attr(el, 'prompts_type') === 'html';
+    const prompts = childElements(promptsEl || el, 'prompt').map(prompt => {
+        const description = childElements(prompt, 'description')[0];
+        const text = description ? description.textContent.trim() : '';
+        return html || !text ? text : textToHtml(escapeXml(text));
+    }).filter(Boolean);
 
-    // Parse criteria
+    // Parse criteria; their prompts and explanations share a cell with other
+    // options, separated by semicolons
     const criteria = [];
-    const criterionRegex = /<criterion>([\s\S]*?)<\/criterion>/g;
-    let critMatch;
-    while ((critMatch = criterionRegex.exec(xmlFile)) !== null) {
-        const critContent = critMatch[1];
-        const nameMatch = critContent.match(/<name>([\s\S]*?)<\/name>/);
-        const criterionName = nameMatch ? stripTags(nameMatch[1]).trim() : '';
+    const rubric = childElements(el, 'rubric')[0];
+    for (const criterion of rubric ? childElements(rubric, 'criterion') : []) {
+        const criterionName = childText(criterion, 'name');
+        const criterionPrompt = childText(criterion, 'prompt');
 
         const options = [];
-        const optionRegex = /<option\s+points="(\d+)">([\s\S]*?)<\/option>/g;
-        let optMatch;
-        while ((optMatch = optionRegex.exec(critContent)) !== null) {
-            const points = parseInt(optMatch[1]) || 0;
-            const optContent = optMatch[2];
-            const labelMatch = optContent.match(/<label>([\s\S]*?)<\/label>/);
-            const label = labelMatch ? stripTags(labelMatch[1]).trim() : '';
-            options.push({ label, points });
+        for (const option of childElements(criterion, 'option')) {
+            const points = parseInt(attr(option, 'points')) || 0;
+            const label = childText(option, 'label');
+            const explanation = childText(option, 'explanation');
+            if (explanation.includes(';')) {
+                warnings.push(`Open response "${blockId}": the "${label}" explanation in "${criterionName}" contains ";", which separates explanations in the sheet.`);
+            }
+            options.push({ label, points, explanation });
         }
 
         if (criterionName) {
-            criteria.push({ name: criterionName, options });
+            criteria.push({
+                name: criterionName,
+                prompt: criterionPrompt === criterionName ? '' : criterionPrompt,
+                options
+            });
         }
     }
 
-    // Parse assessment type
-    let assessmentType = 'self';
-    if (xmlFile.includes('name="staff-assessment"')) assessmentType = 'staff';
-    else if (xmlFile.includes('name="peer-assessment"')) assessmentType = 'peer';
+    // Assessment steps, in ORA's order
+    const assessments = Array.from(el.getElementsByTagName('assessment'));
+    const step = name => assessments.find(a => attr(a, 'name') === `${name}-assessment`);
+    const peer = step('peer');
+    const self = step('self');
+    const steps = ['peer', 'self', 'staff'].filter(name => step(name));
+    if (assessments.some(a => attr(a, 'name') === 'student-training')) {
+        warnings.push(`Open response "${blockId}": the learner training step is not supported and was not imported.`);
+    }
+
+    // Legacy blocks have allow_file_upload instead of a file upload type
+    const fileUploadType = attr(el, 'file_upload_type') || (attr(el, 'allow_file_upload') === 'True' ? 'image' : '');
+    const fileUpload = attr(el, 'file_upload_response') || (fileUploadType && !el.hasAttribute('file_upload_response') ? 'optional' : 'none');
+    const uploadType = fileUpload === 'none' ? '' : fileUploadType || 'pdf-and-image';
 
     data.openResponseBlocks.set(blockId, {
         blockId,
         title,
-        prompt,
+        prompts,
         criteria,
-        assessmentType
+        steps: steps.length > 0 ? steps : ['self'],
+        submissionStart: oraDate(el, 'submission_start'),
+        submissionDue: oraDate(el, 'submission_due'),
+        peerStart: peer ? oraDate(peer, 'start') : '',
+        peerDue: peer ? oraDate(peer, 'due') : '',
+        selfStart: self ? oraDate(self, 'start') : '',
+        selfDue: self ? oraDate(self, 'due') : '',
+        mustGrade: (peer && parseInt(attr(peer, 'must_grade'))) || 5,
+        mustBeGradedBy: (peer && parseInt(attr(peer, 'must_be_graded_by'))) || 3,
+        textResponse: el.hasAttribute('text_response') ? attr(el, 'text_response') || 'none' : 'required',
+        fileUpload,
+        fileUploadType: uploadType,
+        allowedExtensions: uploadType === 'custom'
+            ? attr(el, 'white_listed_file_types').split(',').map(e => e.trim()).filter(Boolean)
+            : []
     });
 }
 
-// --- XML Helpers ---
+/**
+ * ORA writes its defaults (2001-01-01 and 2029-01-01, or 2000/2099 from
+ * older Course Engine builds) for dates that were never set; read those
+ * as blank.
+ */
+function oraDate(el, name) {
+    const value = dateAttr(el, name);
+    return /^(2000|2001|2029|2099)-01-01T00:00(:00)?(Z|\+00:00)?$/.test(value) ? '' : value;
+}
+
+function parseDiscussionBlock(files, { el, id: blockId }, data, warnings) {
+    if (data.discussionBlocks.has(blockId)) return;
+
+    data.discussionBlocks.set(blockId, {
+        blockId,
+        title: attr(el, 'display_name') || 'Discussion',
+        discussionCategory: attr(el, 'discussion_category'),
+        discussionTarget: attr(el, 'discussion_target'),
+        discussionId: attr(el, 'discussion_id') || blockId
+    });
+}
+
+/** Custom parameter names that hold credentials rather than settings. */
+const SECRET_PARAMETER = /secret|password|token|api_?key/i;
 
 /**
- * Parse XML attributes from the root element of an XML string.
- * Returns a plain object of attr_name → value.
+ * Read an lti_consumer component, or a legacy <lti> one (converted to
+ * lti_consumer on export). Client keys, secrets and credential-like custom
+ * parameters are reported instead of imported.
  */
-function parseXmlAttributes(xml) {
-    const attrs = {};
-    // Match the first opening tag with its attributes
-    const tagMatch = xml.match(/<\w+\s([^>]*?)\/?>/);
-    if (!tagMatch) return attrs;
+function parseLtiBlock(files, { el, id: blockId }, data, warnings) {
+    if (data.ltiBlocks.has(blockId)) return;
 
-    const attrStr = tagMatch[1];
-    // Match attr="value" pairs (handles single and double quotes)
-    const attrRegex = /([\w_:-]+)\s*=\s*"([^"]*?)"/g;
-    let match;
-    while ((match = attrRegex.exec(attrStr)) !== null) {
-        attrs[match[1]] = decodeXmlEntities(match[2]);
+    let customParameters = [];
+    if (el.hasAttribute('custom_parameters')) {
+        try {
+            customParameters = JSON.parse(attr(el, 'custom_parameters')).map(String);
+        } catch (e) {
+            warnings.push(`LTI "${blockId}": could not parse custom_parameters attribute.`);
+        }
     }
-    return attrs;
+    const secrets = customParameters.filter(p => SECRET_PARAMETER.test(p.split('=')[0]));
+    if (secrets.length > 0) {
+        const names = secrets.map(p => p.split('=')[0]).join(', ');
+        warnings.push(`LTI "${blockId}": custom parameters ${names} look like credentials and were not imported; add them again in Studio.`);
+        customParameters = customParameters.filter(p => !secrets.includes(p));
+    }
+    if (attr(el, 'lti_1p1_client_key') || attr(el, 'lti_1p1_client_secret')) {
+        warnings.push(`LTI "${blockId}": the client key and secret were not imported; re-enter them in Studio.`);
+    }
+    if (attr(el, 'lti_version') === 'lti_1p3') {
+        warnings.push(`LTI "${blockId}": LTI 1.3 settings are not supported; it will be exported as an LTI 1.1 component.`);
+    }
+
+    let launchTarget = attr(el, 'launch_target') || 'iframe';
+    if (el.tagName === 'lti') {
+        launchTarget = attr(el, 'open_in_a_new_page') === 'false' ? 'iframe' : 'new_window';
+    }
+    const hasScore = attr(el, 'has_score').toLowerCase() === 'true';
+
+    data.ltiBlocks.set(blockId, {
+        blockId,
+        title: attr(el, 'display_name') || 'LTI',
+        ltiId: attr(el, 'lti_id'),
+        launchUrl: attr(el, 'launch_url'),
+        customParameters,
+        hasScore,
+        weight: hasScore ? attr(el, 'weight') : '',
+        launchTarget
+    });
 }
 
 /**
- * Extract child element url_names for a given tag.
- * e.g., extractChildIds(xml, 'chapter') finds all <chapter url_name="..."/>
+ * Read a library_content block. The library's problems are exported as
+ * its children; they go into data.problemBlocks and are listed by ID.
  */
-function extractChildIds(xml, tagName) {
-    const ids = [];
-    const regex = new RegExp(`<${tagName}\\s[^>]*url_name="([^"]*)"`, 'g');
-    let match;
-    while ((match = regex.exec(xml)) !== null) {
-        ids.push(match[1]);
+function parseLibraryBlock(files, { el, file, id: blockId }, data, warnings) {
+    if (data.libraryBlocks.has(blockId)) return;
+
+    const problemIds = [];
+    for (const child of childElements(el)) {
+        if (child.tagName !== 'problem') {
+            warnings.push(`${where(file, child)}: Library content "${blockId}" contains a <${child.tagName}>; only problems are imported, skipping.`);
+            continue;
+        }
+        const problem = resolveElement(files, child, file, warnings);
+        if (!problem) continue;
+        parseProblemBlock(files, problem, data, warnings);
+        problemIds.push(problem.id);
     }
-    return ids;
+
+    data.libraryBlocks.set(blockId, {
+        blockId,
+        title: attr(el, 'display_name') || 'Randomized Content',
+        sourceLibraryId: attr(el, 'source_library_id'),
+        maxCount: Number(attr(el, 'max_count') || 1),
+        capaType: attr(el, 'capa_type') || 'any',
+        problemIds
+    });
+}
+
+function parsePollBlock(files, { el, id: blockId }, data, warnings) {
+    if (data.pollBlocks.has(blockId)) return;
+
+    data.pollBlocks.set(blockId, {
+        blockId,
+        title: attr(el, 'display_name') || 'Poll',
+        question: attr(el, 'question'),
+        answers: pollOptions(el, 'answers', blockId, warnings),
+        feedback: attr(el, 'feedback'),
+        privateResults: attr(el, 'private_results') === 'true',
+        maxSubmissions: Number(attr(el, 'max_submissions') || 1)
+    });
+}
+
+function parseSurveyBlock(files, { el, id: blockId }, data, warnings) {
+    if (data.surveyBlocks.has(blockId)) return;
+
+    data.surveyBlocks.set(blockId, {
+        blockId,
+        title: attr(el, 'display_name') || 'Survey',
+        questions: pollOptions(el, 'questions', blockId, warnings),
+        answers: jsonAttr(el, 'answers', blockId, warnings).map(([key, label]) => ({ key: String(key), label: String(label) })),
+        feedback: attr(el, 'feedback'),
+        privateResults: attr(el, 'private_results') === 'true',
+        maxSubmissions: Number(attr(el, 'max_submissions') || 1)
+    });
 }
 
 /**
- * Extract all block elements from a vertical XML.
- * Returns array of { tag, url_name, ...other_attrs }
+ * Read a drag-and-drop-v2 block from its JSON "data" attribute. Older
+ * versions identify zones by title instead of uid and give each item a
+ * single "zone".
  */
-function extractBlocks(xml) {
-    const blocks = [];
-    const regex = /<(\w+)\s([^>]*?)\/?\s*>/g;
-    let match;
-    while ((match = regex.exec(xml)) !== null) {
-        const tag = match[1];
-        if (tag === 'vertical') continue; // skip the root <vertical> tag
-        const attrs = {};
-        const attrRegex = /([\w_:-]+)\s*=\s*"([^"]*?)"/g;
-        let attrMatch;
-        while ((attrMatch = attrRegex.exec(match[2])) !== null) {
-            attrs[attrMatch[1]] = decodeXmlEntities(attrMatch[2]);
+function parseDragDropBlock(files, { el, id: blockId }, data, warnings) {
+    if (data.dragDropBlocks.has(blockId)) return;
+
+    let dnd = {};
+    try {
+        dnd = JSON.parse(attr(el, 'data') || '{}');
+    } catch (e) {
+        warnings.push(`Drag and drop "${blockId}": could not parse data attribute.`);
+    }
+    const feedback = dnd.feedback || {};
+
+    data.dragDropBlocks.set(blockId, {
+        blockId,
+        title: attr(el, 'display_name') || 'Drag and Drop',
+        questionText: attr(el, 'question_text'),
+        mode: attr(el, 'mode') || 'standard',
+        maxAttempts: attr(el, 'max_attempts') === '0' ? '' : attr(el, 'max_attempts'),
+        weight: attr(el, 'weight'),
+        targetImg: dnd.targetImg || '',
+        targetImgDescription: dnd.targetImgDescription || '',
+        displayLabels: dnd.displayLabels === true,
+        displayBorders: dnd.displayBorders === true,
+        feedbackStart: feedback.start || '',
+        feedbackFinish: feedback.finish || '',
+        zones: (dnd.zones || []).map(zone => ({
+            uid: String(zone.uid || zone.title || ''),
+            title: zone.title || '',
+            description: zone.description || '',
+            x: Number(zone.x) || 0,
+            y: Number(zone.y) || 0,
+            width: Number(zone.width) || 0,
+            height: Number(zone.height) || 0,
+            align: zone.align || ''
+        })),
+        items: (dnd.items || []).map(item => ({
+            text: item.displayName || '',
+            imageUrl: item.imageURL || '',
+            imageDescription: item.imageDescription || '',
+            zones: (item.zones || (item.zone && item.zone !== 'none' ? [item.zone] : [])).map(String),
+            feedbackCorrect: (item.feedback && item.feedback.correct) || '',
+            feedbackIncorrect: (item.feedback && item.feedback.incorrect) || ''
+        }))
+    });
+}
+
+/**
+ * Read a poll/survey option list: [[key, {label, img, img_alt}], …]
+ * (older versions wrote [[key, label], …]). The Polls and Surveys sheets
+ * have ten option columns.
+ */
+function pollOptions(el, name, blockId, warnings) {
+    const options = jsonAttr(el, name, blockId, warnings).map(([key, option]) => ({
+        key: String(key),
+        label: typeof option === 'string' ? option : (option && option.label) || '',
+        img: (option && option.img) || '',
+        imgAlt: (option && option.img_alt) || ''
+    }));
+    if (options.length > 10) {
+        warnings.push(`${blockLabel(el)} "${blockId}": only the first 10 of its ${options.length} ${name} fit the sheet.`);
+        return options.slice(0, 10);
+    }
+    return options;
+}
+
+/**
+ * Read a JSON list attribute, or [] with a warning if it can't be parsed.
+ */
+function jsonAttr(el, name, blockId, warnings) {
+    if (!el.hasAttribute(name)) return [];
+    try {
+        const value = JSON.parse(attr(el, name));
+        if (Array.isArray(value)) return value;
+    } catch (e) {
+        // reported below
+    }
+    warnings.push(`${blockLabel(el)} "${blockId}": could not parse ${name} attribute.`);
+    return [];
+}
+
+/**
+ * "Poll", "Survey"… for warnings about a block.
+ */
+function blockLabel(el) {
+    return el.tagName.charAt(0).toUpperCase() + el.tagName.slice(1);
+}
+
+/** Longest text an Excel cell holds. */
+const EXCEL_CELL_LIMIT = 32767;
+
+/**
+ * Keep a component of an unsupported type as its original OLX: the text of
+ * its definition file (or the inline element), any other files under its
+ * {tag}/ folder named after it and, for components with children
+ * (<conditional>, <split_test>…), the files of the blocks it points to.
+ */
+function parseRawBlock(files, { el, file, id: blockId }, data, warnings) {
+    if (data.rawBlocks.has(blockId)) return;
+
+    const tag = el.tagName;
+    const definition = `${tag}/${blockId}.xml`;
+    const xml = originalXml(files, el, file, blockId);
+
+    const owned = new Map();
+    collectRawFiles(files, el, definition, blockId, owned, warnings);
+
+    for (const [name, text] of [[definition, xml], ...owned]) {
+        if (text.length > EXCEL_CELL_LIMIT) {
+            warnings.push(`${name}: longer than an Excel cell holds (${EXCEL_CELL_LIMIT} characters); editing the workbook in Excel may cut it short.`);
         }
-        if (attrs.url_name) {
-            blocks.push({ tag, ...attrs });
+    }
+
+    data.rawBlocks.set(blockId, { blockId, tag, xml, files: owned });
+}
+
+/**
+ * Add the files named after a raw component or one of its children to
+ * `owned`, then follow the children's pointers (<html url_name="…"/>) to
+ * their definition files, and theirs in turn.
+ */
+function collectRawFiles(files, el, definition, blockId, owned, warnings) {
+    const stem = definition.slice(0, -'.xml'.length);
+    for (const [path, content] of files) {
+        if (path === definition || owned.has(path) || !(path.startsWith(`${stem}/`) || path.startsWith(`${stem}.`))) continue;
+        if (typeof content !== 'string') {
+            warnings.push(`${path}: binary file of component "${blockId}" can't be kept in the workbook, skipping.`);
+            continue;
         }
+        owned.set(path, content.trim());
+    }
+
+    for (const child of Array.from(el.getElementsByTagName('*'))) {
+        const urlName = attr(child, 'url_name');
+        if (!urlName || hasContent(child)) continue;
+        const childDefinition = `${child.tagName}/${urlName}.xml`;
+        if (owned.has(childDefinition)) continue;
+        const childEl = loadXml(files, childDefinition, warnings);
+        if (!childEl) {
+            warnings.push(`Component "${blockId}": child <${child.tagName} url_name="${urlName}"> has no ${childDefinition} and was not kept.`);
+            continue;
+        }
+        owned.set(childDefinition, String(files.get(childDefinition)).trim());
+        collectRawFiles(files, childEl, childDefinition, blockId, owned, warnings);
     }
-    return blocks;
 }
 
-function stripTags(html) {
-    return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+/**
+ * The text of a block's own definition file, or the element itself when it
+ * is defined inline.
+ */
+function originalXml(files, el, file, blockId) {
+    const definition = `${el.tagName}/${blockId}.xml`;
+    return file === definition
+        ? String(files.get(definition)).trim()
+        : new XMLSerializer().serializeToString(el);
+}
+
+// --- XML Helpers ---
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_NODE = 4;
+const COMMENT_NODE = 8;
+
+/** Answer input elements of CAPA problems; the question text comes before them. */
+const INPUT_TAGS = ['choicegroup', 'checkboxgroup', 'optioninput', 'textline', 'formulaequationinput'];
+
+/**
+ * Parse an OLX file and return its root element.
+ * Returns null if the file is missing or not well-formed; parse errors are
+ * reported as warnings with the file and line number.
+ */
+function loadXml(files, path, warnings) {
+    const xml = files.get(path);
+    if (xml === undefined) return null;
+
+    const parser = new DOMParser({
+        onError: (level, message, context) => {
+            if (level === 'warning') return;
+            const line = context && context.locator ? context.locator.lineNumber : 0;
+            warnings.push(`${path}${line ? `:${line}` : ''}: ${message}`);
+        }
+    });
+
+    try {
+        const doc = parser.parseFromString(xml, 'text/xml');
+        return doc.documentElement || null;
+    } catch (e) {
+        // Fatal errors have already been reported through onError
+        if (e.name !== 'ParseError') warnings.push(`${path}: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Resolve an OLX element to the element that actually defines it.
+ * A pointer such as <sequential url_name="abc"/> is followed to
+ * sequential/abc.xml; an element written inline is used as-is. Inline
+ * elements without a url_name get an ID derived from their position, so
+ * re-importing the same archive yields the same IDs.
+ * @returns {{ el: Element, file: string, id: string } | null}
+ */
+function resolveElement(files, ref, file, warnings) {
+    const tag = ref.tagName;
+    const urlName = attr(ref, 'url_name');
+    const path = `${tag}/${urlName}.xml`;
+
+    if (urlName && files.has(path)) {
+        const el = loadXml(files, path, warnings);
+        return el ? { el, file: path, id: urlName } : null;
+    }
+    if (isInline(ref) || (tag === 'html' && files.has(`html/${urlName}.html`))) {
+        return { el: ref, file, id: urlName || `${tag}_${hashString(`${file}:${ref.lineNumber}:${ref.columnNumber}`)}` };
+    }
+
+    if (!urlName) {
+        warnings.push(`${where(file, ref)}: <${tag}> has no url_name or content, skipping.`);
+    } else {
+        const label = tag.charAt(0).toUpperCase() + tag.slice(1);
+        warnings.push(`${where(file, ref)}: ${label} file not found: ${path}`);
+    }
+    return null;
+}
+
+/**
+ * Whether an element carries its own definition rather than just pointing
+ * at a file: any attribute besides url_name, or any child content.
+ */
+function isInline(el) {
+    return Array.from(el.attributes).some(a => a.name !== 'url_name') || hasContent(el);
+}
+
+/**
+ * Whether an element has child elements or non-whitespace text.
+ */
+function hasContent(el) {
+    return Array.from(el.childNodes).some(node =>
+        node.nodeType === ELEMENT_NODE
+        || ((node.nodeType === TEXT_NODE || node.nodeType === CDATA_NODE) && node.data.trim()));
+}
+
+/**
+ * Serialized markup of an element's children. CDATA sections are unwrapped,
+ * since they are commonly used to embed raw HTML.
+ */
+function innerXml(el) {
+    const serializer = new XMLSerializer();
+    return Array.from(el.childNodes)
+        .map(node => node.nodeType === CDATA_NODE ? node.data : serializer.serializeToString(node))
+        .join('');
+}
+
+/**
+ * Attribute value, or '' when the attribute is absent.
+ */
+function attr(el, name) {
+    return el.getAttribute(name) || '';
+}
+
+/**
+ * Child elements of a node, optionally filtered by tag name.
+ */
+function childElements(el, tagName) {
+    return Array.from(el.childNodes).filter(node =>
+        node.nodeType === ELEMENT_NODE && (!tagName || node.tagName === tagName));
+}
+
+/**
+ * Normalized text of the first child element with the given tag.
+ */
+function childText(el, tagName) {
+    const child = childElements(el, tagName)[0];
+    return child ? normalizeText(child.textContent) : '';
+}
+
+/**
+ * "file:line" location of a node, for warnings.
+ */
+function where(file, node) {
+    return node.lineNumber ? `${file}:${node.lineNumber}` : file;
+}
+
+/**
+ * Read a date attribute. Studio writes dates JSON-encoded, quotes included:
+ * due="&quot;2023-09-30T23:59:00+00:00&quot;".
+ */
+function dateAttr(el, name) {
+    return attr(el, name).replace(/^"(.*)"$/, '$1');
 }
 
-function decodeXmlEntities(str) {
-    return str
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&apos;/g, "'");
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim();
 }
@@ -3,7 +3,9 @@
  * Uses ExcelJS for browser-compatible xlsx parsing.
  */
 import ExcelJS from 'exceljs';
-import { createCourseData } from './model.js';
+import { DOMParser } from '@xmldom/xmldom';
+import { createCourseData, COURSE_TABS } from './model.js';
+import { formatEdxDate, looksLikeHtml } from './utils.js';
 
 /**
  * Parse an Excel workbook ArrayBuffer into CourseData.
@@ -36,11 +38,43 @@ export async function parseWorkbook(buffer) {
         data.info.startDate = infoMap.get('start date') || '';
         data.info.endDate = infoMap.get('end date') || '';
         data.info.selfPaced = (infoMap.get('self-paced') || 'yes').toLowerCase() === 'yes';
+        data.info.enrollmentStart = infoMap.get('enrollment start') || '';
+        data.info.enrollmentEnd = infoMap.get('enrollment end') || '';
+        data.info.certificateDate = infoMap.get('certificate date') || '';
+        data.info.courseImage = infoMap.get('course image') || '';
+        data.info.shortDescription = infoMap.get('short description') || '';
+        data.info.overview = infoMap.get('overview') || '';
+        data.info.advancedModules = splitList(infoMap.get('advanced modules'));
+        data.info.prerequisiteCourses = splitList(infoMap.get('prerequisite courses'));
+        data.info.invitationOnly = (infoMap.get('invitation only') || 'no').toLowerCase() === 'yes';
+        if (infoMap.has('tabs')) data.info.tabs = splitList(infoMap.get('tabs')).map(t => t.toLowerCase());
+        data.info.hiddenTabs = splitList(infoMap.get('hidden tabs')).map(t => t.toLowerCase());
 
         if (!data.info.courseName) errors.push('Course Info: "Course Name" is required.');
         if (!data.info.org) errors.push('Course Info: "Organization" is required.');
         if (!data.info.courseId) errors.push('Course Info: "Course ID" is required.');
         if (!data.info.run) errors.push('Course Info: "Run" is required.');
+        for (const field of ['Start Date', 'End Date', 'Enrollment Start', 'Enrollment End', 'Certificate Date']) {
+            const value = infoMap.get(field.toLowerCase());
+            if (value && !formatEdxDate(value)) errors.push(`Course Info: Invalid "${field}" "${value}".`);
+        }
+        if (data.info.courseImage && !/^[^/\\]+\.(png|jpe?g|gif|webp)$/i.test(data.info.courseImage)) {
+            errors.push(`Course Info: "Course Image" must be an image file name in static/ (got "${data.info.courseImage}").`);
+        }
+        for (const key of data.info.prerequisiteCourses) {
+            if (!/^course-v1:[^+\s]+\+[^+\s]+\+[^+\s]+$/.test(key)) {
+                errors.push(`Course Info: Invalid prerequisite course "${key}". Use a course key like course-v1:Org+Number+Run.`);
+            }
+        }
+        for (const tab of [...data.info.tabs, ...data.info.hiddenTabs]) {
+            if (!COURSE_TABS[tab]) {
+                errors.push(`Course Info: Unknown tab "${tab}". Must be one of: ${Object.keys(COURSE_TABS).join(', ')}`);
+            }
+        }
+        if (!data.info.tabs.includes('courseware')) errors.push('Course Info: "Tabs" must include courseware.');
+        if (data.info.hiddenTabs.includes('courseware')) errors.push('Course Info: The courseware tab cannot be hidden.');
+        const unlisted = data.info.hiddenTabs.find(tab => COURSE_TABS[tab] && !data.info.tabs.includes(tab));
+        if (unlisted) errors.push(`Course Info: Hidden tab "${unlisted}" is not listed in "Tabs".`);
     } else {
         errors.push('Missing sheet: "Course Info"');
     }
@@ -57,6 +91,12 @@ export async function parseWorkbook(buffer) {
             const vertical = objStr(r, 'vertical');
             const blockType = objStr(r, 'block_type').toLowerCase();
             const blockId = objStr(r, 'block_id');
+            const chapterId = objStr(r, 'chapter_id');
+            const sequentialId = objStr(r, 'sequential_id');
+            const verticalId = objStr(r, 'vertical_id');
+            const graded = objStr(r, 'graded').toLowerCase() === 'yes';
+            const format = objStr(r, 'format');
+            const due = objStr(r, 'due');
 
             if (!chapter) { errors.push(`Structure row ${rowNumber}: "chapter" is required.`); return; }
             if (!sequential) { errors.push(`Structure row ${rowNumber}: "sequential" is required.`); return; }
@@ -64,14 +104,32 @@ export async function parseWorkbook(buffer) {
             if (!blockType) { errors.push(`Structure row ${rowNumber}: "block_type" is required.`); return; }
             if (!blockId) { errors.push(`Structure row ${rowNumber}: "block_id" is required.`); return; }
 
-            const validTypes = ['text', 'video', 'problem', 'openresponse'];
+            const validTypes = ['text', 'video', 'problem', 'openresponse', 'discussion', 'lti', 'library', 'poll', 'survey', 'dragdrop', 'raw'];
             if (!validTypes.includes(blockType)) {
                 errors.push(`Structure row ${rowNumber}: Invalid block_type "${blockType}". Must be one of: ${validTypes.join(', ')}`);
                 return;
             }
 
-            data.structure.push({ chapter, sequential, vertical, blockType, blockId });
+            for (const [column, id] of [['chapter_id', chapterId], ['sequential_id', sequentialId], ['vertical_id', verticalId]]) {
+                if (id && !URL_NAME_PATTERN.test(id)) {
+                    errors.push(`Structure row ${rowNumber}: "${column}" may only contain letters, digits, "_", "-", "." and ":".`);
+                    return;
+                }
+            }
+
+            if (graded && !format) {
+                errors.push(`Structure row ${rowNumber}: Graded subsections need a "format" (assignment type, e.g. Homework).`);
+                return;
+            }
+            if (due && !formatEdxDate(due)) {
+                errors.push(`Structure row ${rowNumber}: Invalid "due" date "${due}".`);
+                return;
+            }
+
+            data.structure.push({ chapter, sequential, vertical, blockType, blockId, chapterId, sequentialId, verticalId, graded, format, due });
         });
+
+        validateContainerIds(data.structure, errors);
     } else {
         errors.push('Missing sheet: "Structure"');
     }
@@ -97,6 +155,7 @@ export async function parseWorkbook(buffer) {
     const videoSheet = findSheet(wb, 'Videos');
     if (videoSheet) {
         const headers = getHeaders(videoSheet);
+        const languages = transcriptLanguages(videoSheet, headers);
         videoSheet.eachRow((row, rowNumber) => {
             if (rowNumber === 1) return;
             const r = rowToObject(row, headers);
@@ -108,7 +167,8 @@ export async function parseWorkbook(buffer) {
                 youtubeId: objStr(r, 'youtube_id'),
                 html5Url: objStr(r, 'html5_url'),
                 startTime: objStr(r, 'start_time') || '00:00:00',
-                endTime: objStr(r, 'end_time') || '00:00:00'
+                endTime: objStr(r, 'end_time') || '00:00:00',
+                transcripts: parseTranscripts(r, languages, data.info.language, rowNumber, errors)
             });
         });
     }
@@ -123,48 +183,226 @@ export async function parseWorkbook(buffer) {
             const blockId = objStr(r, 'block_id');
             if (!blockId) { errors.push(`Problems row ${rowNumber}: "block_id" is required.`); return; }
 
+            // Raw XML stands in for every other column
+            const rawXml = objStr(r, 'raw_xml');
+            if (rawXml) {
+                const { root, problem } = parseXmlString(rawXml);
+                if (problem || !root) {
+                    errors.push(`Problems row ${rowNumber}: "raw_xml" is not well-formed: ${problem || 'no root element'}`);
+                    return;
+                }
+                if (root.tagName !== 'problem') {
+                    errors.push(`Problems row ${rowNumber}: "raw_xml" must be a <problem> element, not <${root.tagName}>.`);
+                    return;
+                }
+                data.problemBlocks.set(blockId, {
+                    blockId,
+                    title: objStr(r, 'title') || root.getAttribute('display_name') || blockId,
+                    problemType: '',
+                    questionText: '',
+                    choices: [],
+                    compoundHints: [],
+                    partialCredit: '',
+                    answer: '',
+                    tolerance: '',
+                    additionalAnswers: [],
+                    caseSensitive: false,
+                    explanation: '',
+                    demandHints: [],
+                    showAnswer: '',
+                    weight: '',
+                    maxAttempts: '',
+                    rerandomize: '',
+                    showResetButton: null,
+                    isMultiSelect: false,
+                    rawXml
+                });
+                return;
+            }
+
             const choiceLetters = ['a', 'b', 'c', 'd', 'e', 'f'];
             const correctRaw = objStr(r, 'correct').toUpperCase();
             const correctSet = new Set(correctRaw.split(/[,;\s]+/).filter(Boolean));
 
+            let problemType = objStr(r, 'problem_type').toLowerCase();
+            if (!problemType) {
+                // Fallback for older excel files: infer from correct answers count
+                problemType = correctSet.size > 1 ? 'multi-select' : 'single-select';
+            }
+            if (!PROBLEM_TYPES.includes(problemType)) {
+                errors.push(`Problems row ${rowNumber}: Invalid problem_type "${problemType}". Must be one of: ${PROBLEM_TYPES.join(', ')}`);
+                return;
+            }
+
             const choices = [];
-            for (const letter of choiceLetters) {
-                const text = objStr(r, `choice_${letter}`);
-                if (!text) continue;
-                choices.push({
-                    text,
-                    correct: correctSet.has(letter.toUpperCase()),
-                    hint: objStr(r, `hint_${letter}`)
+            let answer = '';
+            let tolerance = '';
+            let additionalAnswers = [];
+            let caseSensitive = false;
+
+            if (problemType === 'numerical' || problemType === 'text-input') {
+                answer = objStr(r, 'answer');
+                if (!answer) {
+                    errors.push(`Problems row ${rowNumber}: "answer" is required for ${problemType} problems.`);
+                    return;
+                }
+                if (problemType === 'numerical') {
+                    tolerance = objStr(r, 'tolerance');
+                    if (tolerance && !/^\d*\.?\d+%?$/.test(tolerance)) {
+                        errors.push(`Problems row ${rowNumber}: Invalid tolerance "${tolerance}". Use a number (0.01) or a percentage (5%).`);
+                        return;
+                    }
+                } else {
+                    additionalAnswers = objStr(r, 'additional_answers').split(';').map(a => a.trim()).filter(Boolean);
+                    caseSensitive = objStr(r, 'case_sensitive').toLowerCase() === 'yes';
+                }
+            } else {
+                for (const letter of choiceLetters) {
+                    const text = objStr(r, `choice_${letter}`);
+                    if (!text) continue;
+                    choices.push({
+                        text,
+                        correct: correctSet.has(letter.toUpperCase()),
+                        hint: objStr(r, `hint_${letter}`),
+                        pointValue: objStr(r, `points_${letter}`)
+                    });
+                }
+
+                if (choices.length < 2) {
+                    errors.push(`Problems row ${rowNumber}: At least 2 choices are required.`);
+                    return;
+                }
+
+                if (!choices.some(c => c.correct)) {
+                    errors.push(`Problems row ${rowNumber}: No correct answer specified.`);
+                    return;
+                }
+
+                if (problemType === 'dropdown' && choices.filter(c => c.correct).length > 1) {
+                    errors.push(`Problems row ${rowNumber}: Dropdown problems must have exactly one correct answer.`);
+                    return;
+                }
+            }
+
+            // Compound hints: compound_hint_1, compound_hint_2, … as "A,C: hint",
+            // as many as the sheet has columns for; blank cells are skipped
+            const compoundHints = [];
+            for (let h = 1; `compound_hint_${h}` in r; h++) {
+                const value = objStr(r, `compound_hint_${h}`);
+                if (!value) continue;
+                if (problemType !== 'multi-select') {
+                    errors.push(`Problems row ${rowNumber}: "compound_hint_${h}" only applies to multi-select problems.`);
+                    return;
+                }
+                const match = value.match(/^([a-f](?:[\s,]+[a-f])*)\s*:\s*([^]+)$/i);
+                if (!match) {
+                    errors.push(`Problems row ${rowNumber}: "compound_hint_${h}" must be choice letters, a colon and the hint, e.g. "A,C: Almost there."`);
+                    return;
+                }
+                // Studio refers to choices by position, which skips blank choice columns
+                const filled = choiceLetters.filter(letter => objStr(r, `choice_${letter}`));
+                const positions = [];
+                for (const letter of new Set(match[1].toLowerCase().split(/[\s,]+/))) {
+                    if (!filled.includes(letter)) {
+                        errors.push(`Problems row ${rowNumber}: "compound_hint_${h}" refers to choice ${letter.toUpperCase()}, which is blank.`);
+                        return;
+                    }
+                    positions.push(filled.indexOf(letter));
+                }
+                compoundHints.push({
+                    choices: positions.sort((a, b) => a - b).map(i => choiceLetters[i].toUpperCase()),
+                    hint: match[2].trim()
                 });
             }
 
-            if (choices.length < 2) {
-                errors.push(`Problems row ${rowNumber}: At least 2 choices are required.`);
+            const partialCreditValue = objStr(r, 'partial_credit');
+            const partialCredit = PARTIAL_CREDIT_MODES.find(mode => mode.toLowerCase() === partialCreditValue.toLowerCase()) || '';
+            if (partialCreditValue && !partialCredit) {
+                errors.push(`Problems row ${rowNumber}: Invalid partial_credit "${partialCreditValue}". Must be one of: ${PARTIAL_CREDIT_MODES.join(', ')}`);
                 return;
             }
+            if (partialCredit && PARTIAL_CREDIT_TYPES[partialCredit] !== problemType) {
+                errors.push(`Problems row ${rowNumber}: "partial_credit" ${partialCredit} only applies to ${PARTIAL_CREDIT_TYPES[partialCredit]} problems.`);
+                return;
+            }
+
+            // Points: the share of the score a wrong choice still earns, e.g. 0.5
+            for (const letter of choiceLetters) {
+                const pointValue = objStr(r, `points_${letter}`);
+                if (!pointValue) continue;
+                if (partialCredit !== 'points') {
+                    errors.push(`Problems row ${rowNumber}: "points_${letter}" only applies when partial_credit is points.`);
+                    return;
+                }
+                if (!(Number(pointValue) > 0 && Number(pointValue) < 1)) {
+                    errors.push(`Problems row ${rowNumber}: Invalid points_${letter} "${pointValue}". Must be a number between 0 and 1.`);
+                    return;
+                }
+                if (correctSet.has(letter.toUpperCase())) {
+                    errors.push(`Problems row ${rowNumber}: "points_${letter}" is set on the correct answer, which always earns full credit.`);
+                    return;
+                }
+            }
 
-            if (!choices.some(c => c.correct)) {
-                errors.push(`Problems row ${rowNumber}: No correct answer specified.`);
+            // Demand hints: demand_hint_1, demand_hint_2, … up to the last column,
+            // skipping blank cells
+            const demandHints = [];
+            for (let h = 1; `demand_hint_${h}` in r; h++) {
+                const hint = objStr(r, `demand_hint_${h}`);
+                if (!hint) continue;
+                demandHints.push(hint);
+            }
+
+            const weight = objStr(r, 'weight');
+            if (weight && !(Number(weight) >= 0)) {
+                errors.push(`Problems row ${rowNumber}: Invalid weight "${weight}". Must be a non-negative number.`);
                 return;
             }
+            const maxAttempts = objStr(r, 'max_attempts');
+            if (maxAttempts && !/^[1-9]\d*$/.test(maxAttempts)) {
+                errors.push(`Problems row ${rowNumber}: Invalid max_attempts "${maxAttempts}". Must be a whole number of 1 or more.`);
+                return;
+            }
+            const rerandomize = objStr(r, 'rerandomize').toLowerCase();
+            if (rerandomize && !RERANDOMIZE_VALUES.includes(rerandomize)) {
+                errors.push(`Problems row ${rowNumber}: Invalid rerandomize "${rerandomize}". Must be one of: ${RERANDOMIZE_VALUES.join(', ')}`);
+                return;
+            }
+            const showResetButton = objStr(r, 'show_reset_button').toLowerCase();
 
-            const problemType = objStr(r, 'problem_type');
-            let isMultiSelect;
-            if (problemType) {
-                isMultiSelect = problemType.toLowerCase() === 'multi-select';
-            } else {
-                // Fallback for older excel files: infer from correct answers count
-                isMultiSelect = Array.from(correctSet).length > 1;
+            // HTML fields go into the OLX as markup, so they must be well-formed XML
+            const hintColumns = Object.keys(r).filter(column => /^(compound|demand)_hint_\d+$/.test(column));
+            for (const column of ['question_text', 'explanation', ...choiceLetters.flatMap(l => [`choice_${l}`, `hint_${l}`]), ...hintColumns]) {
+                const value = objStr(r, column);
+                if (!looksLikeHtml(value)) continue;
+                const { problem } = parseXmlString(`<div>${value}</div>`);
+                if (problem) {
+                    errors.push(`Problems row ${rowNumber}: "${column}" is not well-formed HTML (close every tag, e.g. <br/>, and use &#160; instead of &nbsp;): ${problem}`);
+                    return;
+                }
             }
 
             data.problemBlocks.set(blockId, {
                 blockId,
                 title: objStr(r, 'title') || blockId,
+                problemType,
                 questionText: objStr(r, 'question_text'),
                 choices,
+                compoundHints,
+                partialCredit,
+                answer,
+                tolerance,
+                additionalAnswers,
+                caseSensitive,
                 explanation: objStr(r, 'explanation'),
+                demandHints,
                 showAnswer: objStr(r, 'show_answer') || 'attempted',
-                isMultiSelect
+                weight,
+                maxAttempts,
+                rerandomize,
+                showResetButton: showResetButton ? showResetButton === 'yes' : null,
+                isMultiSelect: problemType === 'multi-select',
+                rawXml: ''
             });
         });
     }
@@ -179,6 +417,24 @@ export async function parseWorkbook(buffer) {
             const blockId = objStr(r, 'block_id');
             if (!blockId) { errors.push(`Open Response row ${rowNumber}: "block_id" is required.`); return; }
 
+            const location = `Open Response row ${rowNumber}`;
+
+            // Prompts: prompt_1, prompt_2, … up to the last column, skipping blank
+            // cells ("prompt" is the single prompt of older workbooks)
+            const prompts = [];
+            for (let p = 1; `prompt_${p}` in r; p++) {
+                const prompt = objStr(r, `prompt_${p}`);
+                if (!prompt) continue;
+                prompts.push(prompt);
+            }
+            if (objStr(r, 'prompt')) {
+                if (prompts.length > 0) {
+                    errors.push(`${location}: use either "prompt" or "prompt_1", "prompt_2", …, not both.`);
+                    return;
+                }
+                prompts.push(objStr(r, 'prompt'));
+            }
+
             // Parse criteria: criterion_1_name, criterion_1_options, criterion_2_name, ...
             const criteria = [];
             for (let c = 1; c <= 10; c++) {
@@ -188,21 +444,510 @@ export async function parseWorkbook(buffer) {
                 // Format: "Poor=0;Fair=1;Good=2"
                 const options = optStr.split(';').map(pair => {
                     const [label, pts] = pair.split('=');
-                    return { label: label.trim(), points: parseInt(pts) || 0 };
+                    return { label: label.trim(), points: parseInt(pts) || 0, explanation: '' };
                 });
-                criteria.push({ name, options });
+                // One explanation per option, in the same order: "Off topic;Partly;Clear"
+                const explanations = objStr(r, `criterion_${c}_explanations`);
+                if (explanations) {
+                    const parts = explanations.split(';').map(e => e.trim());
+                    if (parts.length !== options.length) {
+                        errors.push(`${location}: "criterion_${c}_explanations" has ${parts.length} explanations for ${options.length} options.`);
+                        return;
+                    }
+                    parts.forEach((explanation, i) => { options[i].explanation = explanation; });
+                }
+                criteria.push({ name, prompt: objStr(r, `criterion_${c}_prompt`), options });
+            }
+
+            const steps = splitList(objStr(r, 'assessment_type').toLowerCase());
+            if (steps.length === 0) steps.push('self');
+            const badStep = steps.find(step => !ORA_STEPS.includes(step));
+            if (badStep) {
+                errors.push(`${location}: Invalid assessment_type "${badStep}". Must be one or more of: ${ORA_STEPS.join(', ')}`);
+                return;
+            }
+            if (new Set(steps).size !== steps.length) {
+                errors.push(`${location}: "assessment_type" lists a step more than once.`);
+                return;
+            }
+            steps.sort((a, b) => ORA_STEPS.indexOf(a) - ORA_STEPS.indexOf(b));
+
+            const dates = {};
+            for (const [column, key] of [['submission_start', 'submissionStart'], ['submission_due', 'submissionDue'],
+                ['peer_start', 'peerStart'], ['peer_due', 'peerDue'], ['self_start', 'selfStart'], ['self_due', 'selfDue']]) {
+                const value = objStr(r, column);
+                if (value && !formatEdxDate(value)) {
+                    errors.push(`${location}: Invalid "${column}" date "${value}".`);
+                    return;
+                }
+                const step = column.split('_')[0];
+                if (value && step !== 'submission' && !steps.includes(step)) {
+                    errors.push(`${location}: "${column}" is set but assessment_type does not include ${step}.`);
+                    return;
+                }
+                dates[key] = value;
+            }
+
+            const mustGrade = Number(objStr(r, 'peer_must_grade') || '5');
+            const mustBeGradedBy = Number(objStr(r, 'peer_graded_by') || '3');
+            if (!Number.isInteger(mustGrade) || mustGrade < 1 || !Number.isInteger(mustBeGradedBy) || mustBeGradedBy < 1) {
+                errors.push(`${location}: "peer_must_grade" and "peer_graded_by" must be whole numbers of 1 or more.`);
+                return;
+            }
+            if (mustBeGradedBy > mustGrade) {
+                errors.push(`${location}: "peer_graded_by" (${mustBeGradedBy}) cannot be more than "peer_must_grade" (${mustGrade}).`);
+                return;
+            }
+
+            const textResponse = objStr(r, 'text_response').toLowerCase() || 'required';
+            const fileUpload = objStr(r, 'file_upload').toLowerCase() || 'none';
+            for (const [column, value] of [['text_response', textResponse], ['file_upload', fileUpload]]) {
+                if (!ORA_RESPONSE_SETTINGS.includes(value)) {
+                    errors.push(`${location}: Invalid ${column} "${value}". Must be one of: ${ORA_RESPONSE_SETTINGS.join(', ')}`);
+                    return;
+                }
+            }
+            if (textResponse === 'none' && fileUpload === 'none') {
+                errors.push(`${location}: Learners need a text response or a file upload to submit.`);
+                return;
+            }
+            const fileUploadType = fileUpload === 'none' ? '' : objStr(r, 'file_upload_type').toLowerCase() || 'pdf-and-image';
+            if (fileUploadType && !ORA_FILE_UPLOAD_TYPES.includes(fileUploadType)) {
+                errors.push(`${location}: Invalid file_upload_type "${fileUploadType}". Must be one of: ${ORA_FILE_UPLOAD_TYPES.join(', ')}`);
+                return;
+            }
+            const allowedExtensions = splitList(objStr(r, 'allowed_extensions').toLowerCase()).map(ext => ext.replace(/^\./, ''));
+            if (fileUploadType === 'custom' && allowedExtensions.length === 0) {
+                errors.push(`${location}: "allowed_extensions" is required when file_upload_type is custom.`);
+                return;
+            }
+            if (fileUploadType !== 'custom' && allowedExtensions.length > 0) {
+                errors.push(`${location}: "allowed_extensions" only applies when file_upload_type is custom.`);
+                return;
             }
 
             data.openResponseBlocks.set(blockId, {
                 blockId,
                 title: objStr(r, 'title') || blockId,
-                prompt: objStr(r, 'prompt') || '',
+                prompts,
                 criteria,
-                assessmentType: objStr(r, 'assessment_type') || 'self'
+                steps,
+                ...dates,
+                mustGrade,
+                mustBeGradedBy,
+                textResponse,
+                fileUpload,
+                fileUploadType,
+                allowedExtensions
             });
         });
     }
 
+    // --- Sheet 7: Grading (optional; defaults to a 50/50 Homework/Final Exam policy) ---
+    const gradingSheet = findSheet(wb, 'Grading');
+    if (gradingSheet) {
+        const headers = getHeaders(gradingSheet);
+        const graders = [];
+        const cutoffs = [];
+        gradingSheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const r = rowToObject(row, headers);
+
+            // Assignment types and grade cutoffs are two independent lists side by side
+            const type = objStr(r, 'assignment_type');
+            if (type) {
+                const weight = Number(objStr(r, 'weight'));
+                const minCount = Number(objStr(r, 'min_count') || '1');
+                const dropCount = Number(objStr(r, 'drop_count') || '0');
+                if (graders.some(g => g.type === type)) {
+                    errors.push(`Grading row ${rowNumber}: Duplicate assignment type "${type}".`);
+                } else if (!objStr(r, 'weight') || !(weight >= 0 && weight <= 1)) {
+                    errors.push(`Grading row ${rowNumber}: "weight" for "${type}" must be a number between 0 and 1.`);
+                } else if (!Number.isInteger(minCount) || minCount < 0 || !Number.isInteger(dropCount) || dropCount < 0) {
+                    errors.push(`Grading row ${rowNumber}: "min_count" and "drop_count" must be whole numbers.`);
+                } else {
+                    graders.push({ type, shortLabel: objStr(r, 'short_label') || type, weight, minCount, dropCount });
+                }
+            }
+
+            const grade = objStr(r, 'grade');
+            if (grade) {
+                const cutoff = Number(objStr(r, 'cutoff'));
+                if (cutoffs.some(c => c.grade === grade)) {
+                    errors.push(`Grading row ${rowNumber}: Duplicate grade "${grade}".`);
+                } else if (!objStr(r, 'cutoff') || !(cutoff > 0 && cutoff <= 1)) {
+                    errors.push(`Grading row ${rowNumber}: "cutoff" for grade "${grade}" must be a number between 0 and 1.`);
+                } else {
+                    cutoffs.push({ grade, cutoff });
+                }
+            }
+        });
+
+        if (graders.length > 0) {
+            const totalWeight = graders.reduce((sum, g) => sum + g.weight, 0);
+            if (Math.abs(totalWeight - 1) > 0.001) {
+                errors.push(`Grading: Assignment type weights must add up to 1 (currently ${Math.round(totalWeight * 1000) / 1000}).`);
+            }
+            data.grading.graders = graders;
+        }
+        if (cutoffs.length > 0) {
+            data.grading.cutoffs = cutoffs;
+        }
+    }
+
+    // --- Sheet 8: Discussions ---
+    const discussionSheet = findSheet(wb, 'Discussions');
+    if (discussionSheet) {
+        const headers = getHeaders(discussionSheet);
+        const discussionIds = new Map();
+        discussionSheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const r = rowToObject(row, headers);
+            const blockId = objStr(r, 'block_id');
+            if (!blockId) { errors.push(`Discussions row ${rowNumber}: "block_id" is required.`); return; }
+
+            const discussionId = objStr(r, 'discussion_id') || blockId;
+            if (discussionIds.has(discussionId)) {
+                errors.push(`Discussions row ${rowNumber}: discussion_id "${discussionId}" is already used by "${discussionIds.get(discussionId)}".`);
+            }
+            discussionIds.set(discussionId, blockId);
+
+            data.discussionBlocks.set(blockId, {
+                blockId,
+                title: objStr(r, 'title') || 'Discussion',
+                discussionCategory: objStr(r, 'discussion_category') || 'General',
+                discussionTarget: objStr(r, 'discussion_target') || objStr(r, 'title') || 'Discussion',
+                discussionId
+            });
+        });
+    }
+
+    // --- Sheet 9: LTI ---
+    const ltiSheet = findSheet(wb, 'LTI');
+    if (ltiSheet) {
+        const headers = getHeaders(ltiSheet);
+        ltiSheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const r = rowToObject(row, headers);
+            const blockId = objStr(r, 'block_id');
+            if (!blockId) { errors.push(`LTI row ${rowNumber}: "block_id" is required.`); return; }
+
+            const launchUrl = objStr(r, 'launch_url');
+            if (!/^https?:\/\/\S+$/i.test(launchUrl)) {
+                errors.push(`LTI row ${rowNumber}: "launch_url" must be an http:// or https:// URL.`);
+                return;
+            }
+            const launchTarget = objStr(r, 'launch_target').toLowerCase() || 'iframe';
+            if (!LTI_LAUNCH_TARGETS.includes(launchTarget)) {
+                errors.push(`LTI row ${rowNumber}: Invalid launch_target "${launchTarget}". Must be one of: ${LTI_LAUNCH_TARGETS.join(', ')}`);
+                return;
+            }
+            const customParameters = objStr(r, 'custom_parameters').split(';').map(p => p.trim()).filter(Boolean);
+            const malformed = customParameters.find(p => !/^[^=\s]+=/.test(p));
+            if (malformed) {
+                errors.push(`LTI row ${rowNumber}: custom parameter "${malformed}" must be written as name=value.`);
+                return;
+            }
+            const weight = objStr(r, 'weight');
+            if (weight && !(Number(weight) >= 0)) {
+                errors.push(`LTI row ${rowNumber}: Invalid weight "${weight}". Must be a non-negative number.`);
+                return;
+            }
+
+            data.ltiBlocks.set(blockId, {
+                blockId,
+                title: objStr(r, 'title') || 'LTI',
+                ltiId: objStr(r, 'lti_id'),
+                launchUrl,
+                customParameters,
+                hasScore: objStr(r, 'has_score').toLowerCase() === 'yes',
+                weight,
+                launchTarget
+            });
+        });
+    }
+
+    // --- Sheet 10: Libraries ---
+    const librarySheet = findSheet(wb, 'Libraries');
+    if (librarySheet) {
+        const headers = getHeaders(librarySheet);
+        librarySheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const r = rowToObject(row, headers);
+            const blockId = objStr(r, 'block_id');
+            if (!blockId) { errors.push(`Libraries row ${rowNumber}: "block_id" is required.`); return; }
+
+            const sourceLibraryId = objStr(r, 'source_library_id');
+            if (!sourceLibraryId) { errors.push(`Libraries row ${rowNumber}: "source_library_id" is required.`); return; }
+            const maxCount = objStr(r, 'max_count') || '1';
+            if (!/^(-1|[1-9]\d*)$/.test(maxCount)) {
+                errors.push(`Libraries row ${rowNumber}: Invalid max_count "${maxCount}". Must be a whole number of 1 or more, or -1 for all.`);
+                return;
+            }
+            const capaType = objStr(r, 'capa_type').toLowerCase() || 'any';
+            if (!/^(any|[a-z]+response)$/.test(capaType)) {
+                errors.push(`Libraries row ${rowNumber}: Invalid capa_type "${capaType}". Use "any" or a response type such as "multiplechoiceresponse".`);
+                return;
+            }
+
+            data.libraryBlocks.set(blockId, {
+                blockId,
+                title: objStr(r, 'title') || 'Randomized Content',
+                sourceLibraryId,
+                maxCount: Number(maxCount),
+                capaType,
+                problemIds: objStr(r, 'problem_ids').split(';').map(id => id.trim()).filter(Boolean)
+            });
+        });
+    }
+
+    // --- Sheet 11: Polls ---
+    const pollSheet = findSheet(wb, 'Polls');
+    if (pollSheet) {
+        const headers = getHeaders(pollSheet);
+        pollSheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const r = rowToObject(row, headers);
+            const location = `Polls row ${rowNumber}`;
+            const blockId = objStr(r, 'block_id');
+            if (!blockId) { errors.push(`${location}: "block_id" is required.`); return; }
+
+            const question = objStr(r, 'question');
+            if (!question) { errors.push(`${location}: "question" is required.`); return; }
+            const answers = parsePollOptions(r, 'answer', location, errors);
+            if (!answers) return;
+            if (answers.length < 2) { errors.push(`${location}: At least 2 answers are required.`); return; }
+            if (!applyPollKeys(answers, objStr(r, 'answer_keys'), 'answer_keys', location, errors)) return;
+            const maxSubmissions = parseMaxSubmissions(r, location, errors);
+            if (maxSubmissions === null) return;
+
+            data.pollBlocks.set(blockId, {
+                blockId,
+                title: objStr(r, 'title') || 'Poll',
+                question,
+                answers,
+                feedback: objStr(r, 'feedback'),
+                privateResults: objStr(r, 'private_results').toLowerCase() === 'yes',
+                maxSubmissions
+            });
+        });
+    }
+
+    // --- Sheet 12: Surveys ---
+    const surveySheet = findSheet(wb, 'Surveys');
+    if (surveySheet) {
+        const headers = getHeaders(surveySheet);
+        surveySheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const r = rowToObject(row, headers);
+            const location = `Surveys row ${rowNumber}`;
+            const blockId = objStr(r, 'block_id');
+            if (!blockId) { errors.push(`${location}: "block_id" is required.`); return; }
+
+            const questions = parsePollOptions(r, 'question', location, errors);
+            if (!questions) return;
+            if (questions.length === 0) { errors.push(`${location}: At least 1 question is required.`); return; }
+            if (!applyPollKeys(questions, objStr(r, 'question_keys'), 'question_keys', location, errors)) return;
+
+            const answers = objStr(r, 'answers').split(';').map(a => a.trim()).filter(Boolean)
+                .map((label, i) => ({ key: String.fromCharCode(65 + i), label }));
+            if (answers.length < 2) { errors.push(`${location}: At least 2 answers are required, separated by semicolons.`); return; }
+            if (!applyPollKeys(answers, objStr(r, 'answer_keys'), 'answer_keys', location, errors)) return;
+            const maxSubmissions = parseMaxSubmissions(r, location, errors);
+            if (maxSubmissions === null) return;
+
+            data.surveyBlocks.set(blockId, {
+                blockId,
+                title: objStr(r, 'title') || 'Survey',
+                questions,
+                answers,
+                feedback: objStr(r, 'feedback'),
+                privateResults: objStr(r, 'private_results').toLowerCase() === 'yes',
+                maxSubmissions
+            });
+        });
+    }
+
+    // --- Sheets 13–15: Drag and Drop, its Zones and Items ---
+    const dragDropSheet = findSheet(wb, 'Drag and Drop');
+    if (dragDropSheet) {
+        const headers = getHeaders(dragDropSheet);
+        dragDropSheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const r = rowToObject(row, headers);
+            const location = `Drag and Drop row ${rowNumber}`;
+            const blockId = objStr(r, 'block_id');
+            if (!blockId) { errors.push(`${location}: "block_id" is required.`); return; }
+
+            const mode = objStr(r, 'mode').toLowerCase() || 'standard';
+            if (!DRAG_DROP_MODES.includes(mode)) {
+                errors.push(`${location}: Invalid mode "${mode}". Must be one of: ${DRAG_DROP_MODES.join(', ')}`);
+                return;
+            }
+            const maxAttempts = objStr(r, 'max_attempts');
+            if (maxAttempts && !/^[1-9]\d*$/.test(maxAttempts)) {
+                errors.push(`${location}: Invalid max_attempts "${maxAttempts}". Must be a whole number of 1 or more.`);
+                return;
+            }
+            const weight = objStr(r, 'weight');
+            if (weight && !(Number(weight) >= 0)) {
+                errors.push(`${location}: Invalid weight "${weight}". Must be a non-negative number.`);
+                return;
+            }
+
+            data.dragDropBlocks.set(blockId, {
+                blockId,
+                title: objStr(r, 'title') || 'Drag and Drop',
+                questionText: objStr(r, 'question_text'),
+                mode,
+                maxAttempts,
+                weight,
+                targetImg: objStr(r, 'background_image'),
+                targetImgDescription: objStr(r, 'background_description'),
+                displayLabels: objStr(r, 'show_zone_labels').toLowerCase() === 'yes',
+                displayBorders: objStr(r, 'show_zone_borders').toLowerCase() === 'yes',
+                feedbackStart: objStr(r, 'intro_feedback'),
+                feedbackFinish: objStr(r, 'final_feedback'),
+                zones: [],
+                items: []
+            });
+        });
+    }
+
+    const zoneSheet = findSheet(wb, 'Drag and Drop Zones');
+    if (zoneSheet) {
+        const headers = getHeaders(zoneSheet);
+        zoneSheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const r = rowToObject(row, headers);
+            const location = `Drag and Drop Zones row ${rowNumber}`;
+            const block = dragDropRowBlock(r, data, location, errors);
+            if (!block) return;
+
+            const uid = objStr(r, 'zone_id') || `zone-${block.zones.length + 1}`;
+            if (block.zones.some(z => z.uid === uid)) {
+                errors.push(`${location}: zone_id "${uid}" is already used in "${block.blockId}".`);
+                return;
+            }
+            const box = {};
+            for (const key of ['x', 'y', 'width', 'height']) {
+                const value = objStr(r, key);
+                if (!/^\d+(\.\d+)?$/.test(value)) {
+                    errors.push(`${location}: "${key}" must be a number of pixels (got "${value}").`);
+                    return;
+                }
+                box[key] = Number(value);
+            }
+            const align = objStr(r, 'align').toLowerCase();
+            if (align && !DRAG_DROP_ALIGNMENTS.includes(align)) {
+                errors.push(`${location}: Invalid align "${align}". Must be one of: ${DRAG_DROP_ALIGNMENTS.join(', ')}`);
+                return;
+            }
+
+            block.zones.push({
+                uid,
+                title: objStr(r, 'title') || uid,
+                description: objStr(r, 'description'),
+                ...box,
+                align
+            });
+        });
+    }
+
+    const itemSheet = findSheet(wb, 'Drag and Drop Items');
+    if (itemSheet) {
+        const headers = getHeaders(itemSheet);
+        itemSheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const r = rowToObject(row, headers);
+            const location = `Drag and Drop Items row ${rowNumber}`;
+            const block = dragDropRowBlock(r, data, location, errors);
+            if (!block) return;
+
+            const text = objStr(r, 'text');
+            const imageUrl = objStr(r, 'image_url');
+            const imageDescription = objStr(r, 'image_description');
+            if (!text && !imageUrl) { errors.push(`${location}: "text" or "image_url" is required.`); return; }
+            if (imageUrl && !imageDescription) {
+                errors.push(`${location}: "image_description" is required when "image_url" is set.`);
+                return;
+            }
+            const zones = objStr(r, 'zones').split(';').map(z => z.trim()).filter(Boolean);
+            const unknown = zones.find(uid => !block.zones.some(z => z.uid === uid));
+            if (unknown) {
+                errors.push(`${location}: zone "${unknown}" is not defined for "${block.blockId}" in "Drag and Drop Zones" sheet.`);
+                return;
+            }
+
+            block.items.push({
+                text,
+                imageUrl,
+                imageDescription,
+                zones,
+                feedbackCorrect: objStr(r, 'correct_feedback'),
+                feedbackIncorrect: objStr(r, 'incorrect_feedback')
+            });
+        });
+    }
+
+    for (const block of data.dragDropBlocks.values()) {
+        if (block.zones.length === 0) {
+            errors.push(`Drag and Drop "${block.blockId}" has no zones in "Drag and Drop Zones" sheet.`);
+        } else if (block.items.length === 0) {
+            errors.push(`Drag and Drop "${block.blockId}" has no items in "Drag and Drop Items" sheet.`);
+        }
+    }
+
+    // --- Sheet 16: Raw Components ---
+    // One row per file: the component's XML has an empty "file" cell, and
+    // any other files it owns are listed by their OLX path.
+    const rawSheet = findSheet(wb, 'Raw Components');
+    if (rawSheet) {
+        const headers = getHeaders(rawSheet);
+        const ownedFiles = [];
+        rawSheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const r = rowToObject(row, headers);
+            const blockId = objStr(r, 'block_id');
+            if (!blockId) { errors.push(`Raw Components row ${rowNumber}: "block_id" is required.`); return; }
+            const file = objStr(r, 'file');
+            const content = objStr(r, 'content');
+
+            if (file) {
+                ownedFiles.push({ blockId, file, content, rowNumber });
+                return;
+            }
+
+            if (data.rawBlocks.has(blockId)) {
+                errors.push(`Raw Components row ${rowNumber}: "${blockId}" already has an XML row.`);
+                return;
+            }
+            const tag = parseRawXml(content, rowNumber, errors);
+            if (!tag) return;
+            data.rawBlocks.set(blockId, { blockId, tag, xml: content, files: new Map() });
+        });
+
+        for (const { blockId, file, content, rowNumber } of ownedFiles) {
+            const block = data.rawBlocks.get(blockId);
+            if (!block) {
+                errors.push(`Raw Components row ${rowNumber}: file "${file}" belongs to "${blockId}", which has no XML row.`);
+                continue;
+            }
+            // Child blocks live in their own folders (html/, problem/…), but the
+            // course tree and policies are written by the builder
+            const parts = file.split('/');
+            if (parts.length < 2 || parts.some(part => part === '' || part === '..') || RESERVED_FOLDERS.includes(parts[0])) {
+                errors.push(`Raw Components row ${rowNumber}: file "${file}" must be inside a component folder such as "${block.tag}/".`);
+                continue;
+            }
+            if (file === `${block.tag}/${blockId}.xml`) {
+                errors.push(`Raw Components row ${rowNumber}: "${file}" is written from the XML row; leave "file" empty for it.`);
+                continue;
+            }
+            block.files.set(file, content);
+        }
+    }
+
     // --- Cross-validate: check all block_ids in Structure exist ---
     for (const row of data.structure) {
         const { blockType, blockId } = row;
@@ -214,6 +959,46 @@ export async function parseWorkbook(buffer) {
             errors.push(`Structure references problem block "${blockId}" but it's not defined in "Problems" sheet.`);
         } else if (blockType === 'openresponse' && !data.openResponseBlocks.has(blockId)) {
             errors.push(`Structure references open response block "${blockId}" but it's not defined in "Open Response" sheet.`);
+        } else if (blockType === 'discussion' && !data.discussionBlocks.has(blockId)) {
+            errors.push(`Structure references discussion block "${blockId}" but it's not defined in "Discussions" sheet.`);
+        } else if (blockType === 'lti' && !data.ltiBlocks.has(blockId)) {
+            errors.push(`Structure references LTI block "${blockId}" but it's not defined in "LTI" sheet.`);
+        } else if (blockType === 'library' && !data.libraryBlocks.has(blockId)) {
+            errors.push(`Structure references library block "${blockId}" but it's not defined in "Libraries" sheet.`);
+        } else if (blockType === 'raw' && !data.rawBlocks.has(blockId)) {
+            errors.push(`Structure references raw component "${blockId}" but it's not defined in "Raw Components" sheet.`);
+        } else if (blockType === 'poll' && !data.pollBlocks.has(blockId)) {
+            errors.push(`Structure references poll "${blockId}" but it's not defined in "Polls" sheet.`);
+        } else if (blockType === 'survey' && !data.surveyBlocks.has(blockId)) {
+            errors.push(`Structure references survey "${blockId}" but it's not defined in "Surveys" sheet.`);
+        } else if (blockType === 'dragdrop' && !data.dragDropBlocks.has(blockId)) {
+            errors.push(`Structure references drag-and-drop block "${blockId}" but it's not defined in "Drag and Drop" sheet.`);
+        }
+    }
+
+    // --- Cross-validate: library problems must exist and have no other parent ---
+    const problemParents = new Map(data.structure
+        .filter(row => row.blockType === 'problem')
+        .map(row => [row.blockId, 'the Structure sheet']));
+    for (const library of data.libraryBlocks.values()) {
+        for (const problemId of library.problemIds) {
+            if (!data.problemBlocks.has(problemId)) {
+                errors.push(`Library "${library.blockId}" lists problem "${problemId}" but it's not defined in "Problems" sheet.`);
+            } else if (problemParents.has(problemId)) {
+                errors.push(`Library "${library.blockId}" lists problem "${problemId}", which is already placed in ${problemParents.get(problemId)}.`);
+            } else {
+                problemParents.set(problemId, `library "${library.blockId}"`);
+            }
+        }
+    }
+
+    // --- Cross-validate: subsection formats must be defined assignment types ---
+    const assignmentTypes = new Set(data.grading.graders.map(g => g.type));
+    const reportedFormats = new Set();
+    for (const row of data.structure) {
+        if (row.format && !assignmentTypes.has(row.format) && !reportedFormats.has(row.format)) {
+            errors.push(`Structure uses format "${row.format}" but it's not an assignment type in the "Grading" sheet (defined: ${[...assignmentTypes].join(', ')}).`);
+            reportedFormats.add(row.format);
         }
     }
 
@@ -222,6 +1007,194 @@ export async function parseWorkbook(buffer) {
 
 // --- Helpers ---
 
+const PROBLEM_TYPES = ['single-select', 'multi-select', 'dropdown', 'numerical', 'text-input'];
+const RERANDOMIZE_VALUES = ['always', 'onreset', 'never', 'per_student'];
+const PARTIAL_CREDIT_MODES = ['EDC', 'halves', 'points'];
+// The problem type each partial credit mode scores
+const PARTIAL_CREDIT_TYPES = { EDC: 'multi-select', halves: 'multi-select', points: 'single-select' };
+const ORA_STEPS = ['peer', 'self', 'staff'];
+const ORA_RESPONSE_SETTINGS = ['required', 'optional', 'none'];
+const ORA_FILE_UPLOAD_TYPES = ['image', 'pdf-and-image', 'custom'];
+const LTI_LAUNCH_TARGETS = ['iframe', 'modal', 'new_window'];
+const CONTAINER_TAGS = ['course', 'chapter', 'sequential', 'vertical'];
+const RESERVED_FOLDERS = [...CONTAINER_TAGS, 'policies', 'about', 'info', 'tabs', 'static'];
+const POLL_LETTERS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'];
+const DRAG_DROP_MODES = ['standard', 'assessment'];
+const DRAG_DROP_ALIGNMENTS = ['left', 'center', 'right'];
+
+const URL_NAME_PATTERN = /^[A-Za-z0-9_.:-]+$/;
+
+/**
+ * Split a semicolon-separated cell into its non-empty, trimmed parts.
+ */
+function splitList(value) {
+    return (value || '').split(';').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Read the transcript_file column (course language) and any transcript_<lang>
+ * columns of a Videos row.
+ * @param {Map<string, string>} languages - from transcriptLanguages()
+ */
+function parseTranscripts(r, languages, courseLanguage, rowNumber, errors) {
+    const transcripts = [];
+    for (const key of Object.keys(r)) {
+        if (!languages.has(key)) continue;
+        const file = objStr(r, key);
+        if (!file) continue;
+        const language = key === 'transcript_file' ? (courseLanguage || 'en') : languages.get(key);
+        if (!/\.(srt|vtt)$/i.test(file)) {
+            errors.push(`Videos row ${rowNumber}: transcript "${file}" must be an .srt or .vtt file.`);
+            continue;
+        }
+        if (transcripts.some(t => t.language === language)) {
+            errors.push(`Videos row ${rowNumber}: more than one transcript for language "${language}".`);
+            continue;
+        }
+        transcripts.push({ language, file });
+    }
+    return transcripts;
+}
+
+/**
+ * Read the <prefix>_a … <prefix>_j columns of a Polls or Surveys row, with
+ * their optional image_<letter> and image_alt_<letter> columns. Each option's
+ * key is its column letter. Returns null after reporting an error.
+ */
+function parsePollOptions(r, prefix, location, errors) {
+    const options = [];
+    for (const letter of POLL_LETTERS) {
+        const label = objStr(r, `${prefix}_${letter}`);
+        const img = objStr(r, `image_${letter}`);
+        const imgAlt = objStr(r, `image_alt_${letter}`);
+        if (!label && !img) continue;
+        if (img && !imgAlt) {
+            errors.push(`${location}: "image_alt_${letter}" is required when "image_${letter}" is set.`);
+            return null;
+        }
+        options.push({ key: letter.toUpperCase(), label, img, imgAlt });
+    }
+    return options;
+}
+
+/**
+ * Replace the default option keys with those listed in a keys column
+ * ("R; G; B"), which imported polls use to keep their existing votes.
+ */
+function applyPollKeys(options, keysCell, column, location, errors) {
+    if (!keysCell) return true;
+    const keys = keysCell.split(';').map(k => k.trim()).filter(Boolean);
+    if (keys.length !== options.length) {
+        errors.push(`${location}: "${column}" lists ${keys.length} keys for ${options.length} options.`);
+        return false;
+    }
+    if (new Set(keys).size !== keys.length) {
+        errors.push(`${location}: "${column}" lists the same key more than once.`);
+        return false;
+    }
+    keys.forEach((key, i) => { options[i].key = key; });
+    return true;
+}
+
+/**
+ * Read max_submissions (default 1, 0 for unlimited), or null after an error.
+ */
+function parseMaxSubmissions(r, location, errors) {
+    const maxSubmissions = objStr(r, 'max_submissions') || '1';
+    if (!/^\d+$/.test(maxSubmissions)) {
+        errors.push(`${location}: Invalid max_submissions "${maxSubmissions}". Must be a whole number (0 for unlimited).`);
+        return null;
+    }
+    return Number(maxSubmissions);
+}
+
+/**
+ * The Drag and Drop block a Zones or Items row belongs to, or null after
+ * reporting an error.
+ */
+function dragDropRowBlock(r, data, location, errors) {
+    const blockId = objStr(r, 'block_id');
+    if (!blockId) {
+        errors.push(`${location}: "block_id" is required.`);
+        return null;
+    }
+    const block = data.dragDropBlocks.get(blockId);
+    if (!block) {
+        errors.push(`${location}: "${blockId}" is not defined in "Drag and Drop" sheet.`);
+        return null;
+    }
+    return block;
+}
+
+/**
+ * Check that a raw component's XML is a single well-formed element and
+ * return its tag, or '' after reporting an error.
+ */
+function parseRawXml(xml, rowNumber, errors) {
+    if (!xml) {
+        errors.push(`Raw Components row ${rowNumber}: "content" is required.`);
+        return '';
+    }
+    const { root, problem } = parseXmlString(xml);
+    if (problem || !root) {
+        errors.push(`Raw Components row ${rowNumber}: XML is not well-formed: ${problem || 'no root element'}`);
+        return '';
+    }
+    if (CONTAINER_TAGS.includes(root.tagName)) {
+        errors.push(`Raw Components row ${rowNumber}: <${root.tagName}> is a container, not a component.`);
+        return '';
+    }
+    return root.tagName;
+}
+
+/**
+ * Parse an XML string, returning its root element or the first error.
+ * @returns {{ root: Element|null, problem: string }}
+ */
+function parseXmlString(xml) {
+    let problem = '';
+    const parser = new DOMParser({
+        onError: (level, message) => {
+            if (level !== 'warning' && !problem) problem = message;
+        }
+    });
+    let root = null;
+    try {
+        root = parser.parseFromString(xml, 'text/xml').documentElement;
+    } catch (e) {
+        problem = problem || e.message;
+    }
+    return { root, problem };
+}
+
+/**
+ * Check that each explicit chapter/sequential/vertical ID names a single
+ * container: the same display name under the same parent on every row.
+ */
+function validateContainerIds(structure, errors) {
+    const levels = [
+        { column: 'chapter_id', field: 'chapterId', path: r => r.chapter },
+        { column: 'sequential_id', field: 'sequentialId', path: r => `${r.chapterId || r.chapter} > ${r.sequential}` },
+        { column: 'vertical_id', field: 'verticalId', path: r => `${r.chapterId || r.chapter} > ${r.sequentialId || r.sequential} > ${r.vertical}` }
+    ];
+
+    for (const { column, field, path } of levels) {
+        const pathById = new Map();
+        const reported = new Set();
+        for (const row of structure) {
+            const id = row[field];
+            if (!id) continue;
+            const p = path(row);
+            if (!pathById.has(id)) {
+                pathById.set(id, p);
+            } else if (pathById.get(id) !== p && !reported.has(id)) {
+                errors.push(`Structure: ${column} "${id}" is used by both "${pathById.get(id)}" and "${p}".`);
+                reported.add(id);
+            }
+        }
+    }
+}
+
 /**
  * Find a worksheet by name (case-insensitive).
  */
@@ -246,6 +1219,20 @@ function getHeaders(sheet) {
     return headers;
 }
 
+/**
+ * The language of each transcript_<lang> column as written in its header,
+ * by header name: getHeaders lowercases the names, but language codes such
+ * as zh_HANS and pt-BR are case-sensitive in Studio.
+ */
+function transcriptLanguages(sheet, headers) {
+    const languages = new Map();
+    sheet.getRow(1).eachCell((cell, colNumber) => {
+        const match = cellValue(cell).match(/^transcript_(.+)$/i);
+        if (match && headers.has(colNumber)) languages.set(headers.get(colNumber), match[1]);
+    });
+    return languages;
+}
+
 /**
  * Convert a row to a plain object keyed by header names.
  */
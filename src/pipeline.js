@@ -0,0 +1,117 @@
+/**
+ * Build/import pipeline — the UI-independent core of Course Engine.
+ * Build Mode, Import Mode and the CLI all go through these functions:
+ *   checkCourse: CourseData → diagnostics
+ *   buildOlx:    CourseData → OLX file map (+ diagnostics)
+ *   importOlx:   .tar.gz buffer → CourseData (+ diagnostics)
+ */
+import { buildHierarchy, buildIdMap } from './model.js';
+import { generateCourse } from './generators/course.js';
+import { generateChapters } from './generators/chapter.js';
+import { generateSequentials } from './generators/sequential.js';
+import { generateVerticals } from './generators/vertical.js';
+import { generateHtmlBlocks } from './generators/html.js';
+import { generateVideoBlocks, findMissingTranscripts } from './generators/video.js';
+import { generateProblemBlocks } from './generators/problem.js';
+import { generateOpenResponseBlocks } from './generators/openresponse.js';
+import { generateDiscussionBlocks } from './generators/discussion.js';
+import { generateLtiBlocks } from './generators/lti.js';
+import { generateLibraryBlocks } from './generators/library.js';
+import { generatePollBlocks, generateSurveyBlocks } from './generators/poll.js';
+import { generateDragDropBlocks } from './generators/dragdrop.js';
+import { generateRawBlocks } from './generators/raw.js';
+import { generateStaticFiles } from './generators/static.js';
+import { validateTextBlocks, validateProblemBlocks } from './validator.js';
+import { extractTarGz } from './untar.js';
+import { parseOlx } from './olx-parser.js';
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {'error'|'warning'} level - errors prevent a build
+ * @property {string} message
+ * @property {string} [blockId] - the block the message is about, if any
+ */
+
+/**
+ * Build the course hierarchy (chapters → sequentials → verticals) with
+ * deterministic IDs.
+ * @param {import('./model.js').CourseData} courseData
+ */
+export function courseHierarchy(courseData) {
+    const idMap = buildIdMap(courseData.structure, courseData.info);
+    return buildHierarchy(courseData.structure, idMap);
+}
+
+/**
+ * Check a course's content without generating anything: missing transcripts
+ * and course image, and Text Block and Problem HTML. Safe to run on the
+ * model of a workbook with errors.
+ * @param {import('./model.js').CourseData} courseData
+ * @param {Map<string, Uint8Array>} assets - static files
+ * @returns {Diagnostic[]}
+ */
+export function checkCourse(courseData, assets) {
+    const diagnostics = [
+        ...findMissingTranscripts(courseData.videoBlocks, assets).map(message => ({ level: 'error', message })),
+        ...validateTextBlocks(courseData.textBlocks, assets),
+        ...validateProblemBlocks(courseData.problemBlocks, assets)
+    ];
+    const { courseImage } = courseData.info;
+    if (courseImage && !assets.has(courseImage)) {
+        diagnostics.push({ level: 'warning', message: `Course image "${courseImage}" has not been attached.` });
+    }
+    return diagnostics;
+}
+
+/**
+ * Check a course and generate its OLX files.
+ * When any diagnostic is an error, no files are generated.
+ * @param {import('./model.js').CourseData} courseData
+ * @param {Object} [options]
+ * @param {Map<string, Uint8Array>} [options.assets] - static files, defaults to courseData.assets
+ * @returns {{ files: Map<string, string|Uint8Array>, diagnostics: Diagnostic[] }}
+ */
+export function buildOlx(courseData, options = {}) {
+    const assets = options.assets || courseData.assets;
+
+    const diagnostics = checkCourse(courseData, assets);
+    if (diagnostics.some(d => d.level === 'error')) {
+        return { files: new Map(), diagnostics };
+    }
+
+    const hierarchy = courseHierarchy(courseData);
+    const files = new Map([
+        ...generateCourse(courseData.info, hierarchy, courseData.grading),
+        ...generateChapters(hierarchy),
+        ...generateSequentials(hierarchy),
+        ...generateVerticals(hierarchy, courseData.rawBlocks),
+        ...generateHtmlBlocks(courseData.textBlocks),
+        ...generateVideoBlocks(courseData.videoBlocks, assets),
+        ...generateProblemBlocks(courseData.problemBlocks),
+        ...generateOpenResponseBlocks(courseData.openResponseBlocks),
+        ...generateDiscussionBlocks(courseData.discussionBlocks),
+        ...generateLtiBlocks(courseData.ltiBlocks),
+        ...generateLibraryBlocks(courseData.libraryBlocks),
+        ...generatePollBlocks(courseData.pollBlocks),
+        ...generateSurveyBlocks(courseData.surveyBlocks),
+        ...generateDragDropBlocks(courseData.dragDropBlocks),
+        ...generateRawBlocks(courseData.rawBlocks),
+        ...generateStaticFiles(assets, courseData.videoBlocks)
+    ]);
+
+    return { files, diagnostics };
+}
+
+/**
+ * Read an OLX course export.
+ * @param {ArrayBuffer} buffer - .tar.gz file contents
+ * @returns {{ data: import('./model.js').CourseData, diagnostics: Diagnostic[] }}
+ */
+export function importOlx(buffer) {
+    const files = extractTarGz(buffer);
+    const { data, warnings } = parseOlx(files);
+    return {
+        data,
+        diagnostics: warnings.map(message => ({ level: 'warning', message }))
+    };
+}
@@ -1,7 +1,7 @@
 /**
  * Preview renderer — generates HTML preview of course structure and content.
  */
-import { escapeXml } from './utils.js';
+import { escapeXml, looksLikeHtml } from './utils.js';
 
 /**
  * Render a course tree preview from hierarchy and block data.
@@ -26,6 +26,7 @@ export function renderPreview(chapters, courseData) {
             html += `<div class="preview-sequential">`;
             html += `<h4 class="preview-seq-title">
         <span class="preview-icon">📖</span> ${escapeXml(seq.name)}
+        ${seq.graded ? `<span class="block-meta">Graded · ${escapeXml(seq.format)}${seq.due ? ` · due ${escapeXml(seq.due)}` : ''}</span>` : ''}
       </h4>`;
 
             for (const vert of seq.verticals) {
@@ -73,18 +74,37 @@ function renderBlock(block, courseData) {
         <div class="block-content-preview">
           ${vb.youtubeId ? `<span class="video-id">YouTube: ${escapeXml(vb.youtubeId)}</span>` : ''}
           ${vb.html5Url ? `<span class="video-id">URL: ${escapeXml(vb.html5Url)}</span>` : ''}
+          ${vb.transcripts && vb.transcripts.length ? `<span class="video-id">Transcripts: ${escapeXml(vb.transcripts.map(t => t.language).join(', '))}</span>` : ''}
         </div>
       </div>`;
         }
         case 'problem': {
             const pb = courseData.problemBlocks.get(blockId);
             if (!pb) return errorBlock('problem', blockId);
+            if (pb.rawXml) {
+                return `<div class="preview-block block-problem">
+        <div class="block-badge badge-problem">PROBLEM</div>
+        <div class="block-title">${escapeXml(pb.title)}</div>
+        <div class="block-content-preview">${escapeXml(truncate(pb.rawXml, 100))}</div>
+        <div class="block-meta">Raw XML · kept as-is</div>
+      </div>`;
+            }
             const correctCount = pb.choices.filter(c => c.correct).length;
+            let meta = `${pb.choices.length} choices · ${correctCount} correct`;
+            if (pb.problemType === 'numerical') {
+                meta = `Numerical · answer ${escapeXml(pb.answer)}${pb.tolerance ? ` ± ${escapeXml(pb.tolerance)}` : ''}`;
+            } else if (pb.problemType === 'text-input') {
+                meta = `Text input · ${1 + pb.additionalAnswers.length} accepted answer(s)`;
+            } else if (pb.problemType === 'dropdown') {
+                meta = `Dropdown · ${pb.choices.length} options`;
+            }
+            if (pb.partialCredit) meta += ` · partial credit (${escapeXml(pb.partialCredit)})`;
+            if (pb.demandHints.length) meta += ` · ${pb.demandHints.length} hint${pb.demandHints.length > 1 ? 's' : ''}`;
             return `<div class="preview-block block-problem">
         <div class="block-badge badge-problem">PROBLEM</div>
         <div class="block-title">${escapeXml(pb.title)}</div>
-        <div class="block-content-preview">${escapeXml(truncate(pb.questionText, 100))}</div>
-        <div class="block-meta">${pb.choices.length} choices · ${correctCount} correct</div>
+        <div class="block-content-preview">${escapeXml(truncate(looksLikeHtml(pb.questionText) ? stripHtml(pb.questionText) : pb.questionText, 100))}</div>
+        <div class="block-meta">${meta}</div>
       </div>`;
         }
         case 'openresponse': {
@@ -93,8 +113,78 @@ function renderBlock(block, courseData) {
             return `<div class="preview-block block-ora">
         <div class="block-badge badge-ora">OPEN RESPONSE</div>
         <div class="block-title">${escapeXml(ora.title)}</div>
-        <div class="block-content-preview">${escapeXml(truncate(ora.prompt, 100))}</div>
-        <div class="block-meta">${ora.criteria.length} criteria · ${ora.assessmentType} assessment</div>
+        <div class="block-content-preview">${escapeXml(truncate(stripHtml(ora.prompts[0] || ''), 100))}</div>
+        <div class="block-meta">${ora.prompts.length > 1 ? `${ora.prompts.length} prompts · ` : ''}${ora.criteria.length} criteria · ${ora.steps.join(' + ')} assessment</div>
+      </div>`;
+        }
+        case 'discussion': {
+            const db = courseData.discussionBlocks.get(blockId);
+            if (!db) return errorBlock('discussion', blockId);
+            return `<div class="preview-block block-discussion">
+        <div class="block-badge badge-discussion">DISCUSSION</div>
+        <div class="block-title">${escapeXml(db.title)}</div>
+        <div class="block-meta">${escapeXml(db.discussionCategory)} / ${escapeXml(db.discussionTarget)}</div>
+      </div>`;
+        }
+        case 'lti': {
+            const lti = courseData.ltiBlocks.get(blockId);
+            if (!lti) return errorBlock('lti', blockId);
+            return `<div class="preview-block block-lti">
+        <div class="block-badge badge-lti">LTI</div>
+        <div class="block-title">${escapeXml(lti.title)}</div>
+        <div class="block-content-preview">${escapeXml(truncate(lti.launchUrl, 100))}</div>
+        <div class="block-meta">${lti.hasScore ? 'Scored' : 'Not scored'} · opens in ${lti.launchTarget}</div>
+      </div>`;
+        }
+        case 'library': {
+            const lib = courseData.libraryBlocks.get(blockId);
+            if (!lib) return errorBlock('library', blockId);
+            const shown = lib.maxCount === -1 ? 'all' : lib.maxCount;
+            return `<div class="preview-block block-library">
+        <div class="block-badge badge-library">LIBRARY</div>
+        <div class="block-title">${escapeXml(lib.title)}</div>
+        <div class="block-content-preview">${escapeXml(lib.sourceLibraryId)}</div>
+        <div class="block-meta">Shows ${shown} of ${lib.problemIds.length} problems · ${escapeXml(lib.capaType)}</div>
+      </div>`;
+        }
+        case 'poll': {
+            const poll = courseData.pollBlocks.get(blockId);
+            if (!poll) return errorBlock('poll', blockId);
+            return `<div class="preview-block block-poll">
+        <div class="block-badge badge-poll">POLL</div>
+        <div class="block-title">${escapeXml(poll.title)}</div>
+        <div class="block-content-preview">${escapeXml(truncate(poll.question, 100))}</div>
+        <div class="block-meta">${poll.answers.length} answers${poll.privateResults ? ' · private results' : ''}</div>
+      </div>`;
+        }
+        case 'survey': {
+            const survey = courseData.surveyBlocks.get(blockId);
+            if (!survey) return errorBlock('survey', blockId);
+            return `<div class="preview-block block-survey">
+        <div class="block-badge badge-poll">SURVEY</div>
+        <div class="block-title">${escapeXml(survey.title)}</div>
+        <div class="block-content-preview">${escapeXml(truncate(survey.questions.map(q => q.label).join(' · '), 100))}</div>
+        <div class="block-meta">${survey.questions.length} questions · ${escapeXml(survey.answers.map(a => a.label).join(' / '))}</div>
+      </div>`;
+        }
+        case 'dragdrop': {
+            const dnd = courseData.dragDropBlocks.get(blockId);
+            if (!dnd) return errorBlock('dragdrop', blockId);
+            return `<div class="preview-block block-dragdrop">
+        <div class="block-badge badge-dragdrop">DRAG &amp; DROP</div>
+        <div class="block-title">${escapeXml(dnd.title)}</div>
+        <div class="block-content-preview">${escapeXml(truncate(dnd.questionText, 100))}</div>
+        <div class="block-meta">${dnd.zones.length} zones · ${dnd.items.length} items · ${dnd.mode} mode</div>
+      </div>`;
+        }
+        case 'raw': {
+            const raw = courseData.rawBlocks.get(blockId);
+            if (!raw) return errorBlock('raw', blockId);
+            return `<div class="preview-block block-raw">
+        <div class="block-badge badge-raw">${escapeXml(raw.tag.toUpperCase())}</div>
+        <div class="block-title">${escapeXml(blockId)}</div>
+        <div class="block-content-preview">${escapeXml(truncate(raw.xml, 100))}</div>
+        <div class="block-meta">Kept as-is${raw.files.size ? ` · ${raw.files.size} extra file${raw.files.size > 1 ? 's' : ''}` : ''}</div>
       </div>`;
         }
         default:
@@ -4,10 +4,17 @@
  */
 import { gunzipSync } from 'fflate';
 
+// Files decoded as UTF-8 text; anything else (images, PDFs…) and every file
+// under static/, whatever its encoding, stays binary
+const TEXT_EXTENSIONS = new Set([
+    'xml', 'html', 'htm', 'json', 'txt', 'csv', 'md', 'css', 'js',
+    'srt', 'vtt', 'sjson', 'svg'
+]);
+
 /**
  * Extract files from a tar.gz ArrayBuffer.
  * @param {ArrayBuffer} buffer - The .tar.gz file contents
- * @returns {Map<string, string>} filePath → text content
+ * @returns {Map<string, string|Uint8Array>} filePath → text or binary content
  */
 export function extractTarGz(buffer) {
     const compressed = new Uint8Array(buffer);
@@ -18,7 +25,7 @@ export function extractTarGz(buffer) {
 /**
  * Parse a tar buffer and extract file entries.
  * @param {Uint8Array} data
- * @returns {Map<string, string>} filePath → text content
+ * @returns {Map<string, string|Uint8Array>} filePath → text or binary content
  */
 function extractTar(data) {
     const files = new Map();
@@ -52,7 +59,6 @@ function extractTar(data) {
 
         if (isFile && size > 0) {
             const fileData = data.subarray(offset, offset + size);
-            const text = new TextDecoder('utf-8', { fatal: false }).decode(fileData);
 
             // Strip leading "course/" prefix if present (EdX wraps in a top-level dir)
             let cleanPath = fullName;
@@ -62,7 +68,9 @@ function extractTar(data) {
             }
 
             if (cleanPath) {
-                files.set(cleanPath, text);
+                files.set(cleanPath, isTextFile(cleanPath)
+                    ? new TextDecoder('utf-8', { fatal: false }).decode(fileData)
+                    : fileData.slice());
             }
         }
 
@@ -74,6 +82,12 @@ function extractTar(data) {
     return files;
 }
 
+function isTextFile(name) {
+    if (name.startsWith('static/')) return false;
+    const dot = name.lastIndexOf('.');
+    return dot !== -1 && TEXT_EXTENSIONS.has(name.slice(dot + 1).toLowerCase());
+}
+
 function readString(buf, offset, maxLen) {
     let end = offset;
     const limit = Math.min(offset + maxLen, buf.length);
@@ -11,6 +11,19 @@ export function generateId() {
   return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
 }
 
+/**
+ * Hash a string into a short, stable hex digest (32-bit FNV-1a).
+ * Used to derive url_names that stay the same across rebuilds.
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
 /**
  * Escape special characters for XML attribute values and text content.
  */
@@ -54,12 +67,34 @@ export function formatEdxDate(dateStr) {
   return d.toISOString().replace('.000Z', 'Z');
 }
 
+// Elements a cell's markup can be made of
+const HTML_ELEMENTS = [
+  'a', 'abbr', 'audio', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+  'dd', 'del', 'description', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'iframe', 'img', 'ins', 'kbd', 'label', 'li',
+  'mark', 'math', 'ol', 'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'source', 'span',
+  'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
+  'track', 'u', 'ul', 'var', 'video'
+];
+
+// An opening, closing or empty tag of one of them, attributes quoted
+const HTML_TAG = new RegExp(
+  `<\\/?(?:${HTML_ELEMENTS.join('|')})(?:\\s+[\\w:-]+\\s*=\\s*(?:"[^"]*"|'[^']*'))*\\s*\\/?>`, 'i');
+
+/**
+ * Whether a cell holds HTML (a tag such as <p> or <em>) rather than plain
+ * text; "2 < 3" and "Is 3<x and x>1?" are plain text.
+ */
+export function looksLikeHtml(text) {
+  return HTML_TAG.test(text || '');
+}
+
 /**
  * Convert plain text to basic HTML paragraphs if it doesn't already contain HTML.
  */
 export function textToHtml(text) {
   if (!text) return '';
-  // If it already looks like HTML, return as-is
+  // A Text Block is an HTML page: anything tag-like keeps it as it is
   if (/<[a-z][\s\S]*>/i.test(text)) return text;
   // Otherwise wrap paragraphs
   return text
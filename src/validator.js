@@ -0,0 +1,192 @@
+/**
+ * Content validator — checks Text Block and Problem HTML before export.
+ * Catches problems that would otherwise only show up after import into
+ * Studio: malformed markup, disallowed elements, missing /static/ files
+ * and insecure (http://) embeds and links.
+ */
+import { textToHtml, looksLikeHtml } from './utils.js';
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {'error'|'warning'} level - errors block export, warnings don't
+ * @property {string} blockId
+ * @property {string} message
+ */
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose closing tag HTML lets authors leave out
+const OPTIONAL_END_ELEMENTS = new Set([
+    'p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot',
+    'option', 'optgroup', 'colgroup', 'caption', 'rt', 'rp'
+]);
+
+// Elements Studio strips or that run code in the learner's browser
+const DISALLOWED_ELEMENTS = new Set([
+    'script', 'object', 'embed', 'applet', 'frame', 'frameset', 'base'
+]);
+
+/**
+ * Validate the HTML of every text block.
+ * @param {Map<string, import('./model.js').TextBlock>} textBlocks
+ * @param {Map<string, Uint8Array>} assets - attached static files by name
+ * @returns {ValidationIssue[]}
+ */
+export function validateTextBlocks(textBlocks, assets) {
+    const issues = [];
+
+    for (const [blockId, block] of textBlocks) {
+        const html = textToHtml(block.content);
+        const report = (level, message) => issues.push({ level, blockId, message });
+
+        checkMarkup(html, report);
+        checkContent(html, assets, report);
+    }
+
+    return issues;
+}
+
+/**
+ * Validate the HTML in problem questions, choices, hints and explanations.
+ * The parser has already checked that it is well-formed.
+ * @param {Map<string, import('./model.js').ProblemBlock>} problemBlocks
+ * @param {Map<string, Uint8Array>} assets - attached static files by name
+ * @returns {ValidationIssue[]}
+ */
+export function validateProblemBlocks(problemBlocks, assets) {
+    const issues = [];
+
+    for (const [blockId, block] of problemBlocks) {
+        const fields = [
+            ['question_text', block.questionText],
+            ['explanation', block.explanation],
+            ...block.choices.flatMap((choice, i) => [[`choice ${i + 1}`, choice.text], [`hint ${i + 1}`, choice.hint]]),
+            ...(block.compoundHints || []).map((compound, i) => [`compound hint ${i + 1}`, compound.hint]),
+            ...(block.demandHints || []).map((hint, i) => [`demand hint ${i + 1}`, hint])
+        ];
+        for (const [field, html] of fields) {
+            if (!looksLikeHtml(html)) continue;
+            checkContent(html, assets, (level, message) => issues.push({ level, blockId, message: `${field}: ${message}` }));
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Report unsafe elements, attributes and URLs, and /static/ files that
+ * have not been attached.
+ */
+function checkContent(html, assets, report) {
+    for (const tag of tagsOf(html)) {
+        if (tag.closing) continue;
+
+        if (DISALLOWED_ELEMENTS.has(tag.name)) {
+            report('error', `<${tag.name}> elements are not allowed.`);
+        }
+
+        for (const [name, value] of tag.attrs) {
+            if (/^on/.test(name)) {
+                report('error', `<${tag.name}> has an inline "${name}" event handler.`);
+            } else if ((name === 'src' || name === 'href') && /^\s*javascript:/i.test(value)) {
+                report('error', `<${tag.name}> has a javascript: URL.`);
+            } else if ((name === 'src' || name === 'href') && /^http:\/\//i.test(value)) {
+                if (tag.name === 'iframe') {
+                    report('error', `<iframe> source "${value}" is not HTTPS; browsers will block it.`);
+                } else {
+                    report('warning', `<${tag.name}> ${name} "${value}" is not HTTPS.`);
+                }
+            }
+        }
+    }
+
+    for (const name of staticReferences(html)) {
+        if (!assets.has(name)) {
+            report('warning', `/static/${name} is referenced but has not been attached.`);
+        }
+    }
+}
+
+/**
+ * Report unclosed and stray closing tags.
+ */
+function checkMarkup(html, report) {
+    const stack = [];
+
+    for (const tag of tagsOf(html)) {
+        if (VOID_ELEMENTS.has(tag.name)) continue;
+
+        if (!tag.closing) {
+            if (!tag.selfClosing) stack.push(tag.name);
+            continue;
+        }
+
+        if (!stack.includes(tag.name)) {
+            report('error', `Closing </${tag.name}> has no matching opening tag.`);
+            continue;
+        }
+        while (stack.length > 0) {
+            const open = stack.pop();
+            if (open === tag.name) break;
+            if (!OPTIONAL_END_ELEMENTS.has(open)) {
+                report('error', `<${open}> is not closed before </${tag.name}>.`);
+            }
+        }
+    }
+
+    for (const open of stack) {
+        if (!OPTIONAL_END_ELEMENTS.has(open)) {
+            report('error', `<${open}> is never closed.`);
+        }
+    }
+}
+
+/**
+ * Tokenize the tags of an HTML string, skipping comments, CDATA and the
+ * contents of <script>/<style> elements.
+ * @returns {Array<{name: string, closing: boolean, selfClosing: boolean, attrs: Array<[string, string]>}>}
+ */
+function tagsOf(html) {
+    const tags = [];
+    const source = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+        .replace(/(<(script|style)\b[^>]*>)[\s\S]*?(<\/\2\s*>)/gi, '$1$3');
+
+    const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+    let match;
+    while ((match = tagPattern.exec(source)) !== null) {
+        const attrs = [];
+        const attrPattern = /([^\s=>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+        let a;
+        while ((a = attrPattern.exec(match[3])) !== null) {
+            attrs.push([a[1].toLowerCase(), a[2] ?? a[3] ?? a[4] ?? '']);
+        }
+        tags.push({
+            name: match[2].toLowerCase(),
+            closing: match[1] === '/',
+            selfClosing: match[4] === '/',
+            attrs
+        });
+    }
+    return tags;
+}
+
+/**
+ * Names of the /static/ files an HTML string refers to.
+ */
+function staticReferences(html) {
+    const names = new Set();
+    for (const match of html.matchAll(/(?:^|["'(\s=])\/static\/([^"'\s)?#<>]+)/g)) {
+        try {
+            names.add(decodeURIComponent(match[1]));
+        } catch (e) {
+            names.add(match[1]);
+        }
+    }
+    return names;
+}
@@ -0,0 +1,80 @@
+/**
+ * The command-line interface: exit codes, output files and --json.
+ * Exits 0 on success, 1 when the input has errors, 2 on bad usage.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { minimalWorkbook, writeWorkbook } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../bin/course-engine.js', import.meta.url));
+
+function run(args, cwd) {
+    return spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: 'utf-8' });
+}
+
+async function inTempDir(fn) {
+    const dir = mkdtempSync(join(tmpdir(), 'course-engine-'));
+    try {
+        await fn(dir);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('bad usage exits 2', () => {
+    assert.equal(run([]).status, 2);
+    assert.equal(run(['publish', 'course.xlsx']).status, 2);
+    assert.equal(run(['build', 'course.xlsx', '--colour']).status, 2);
+});
+
+test('build writes the course and exits 0', () => inTempDir(async dir => {
+    writeFileSync(join(dir, 'course.xlsx'), Buffer.from(await writeWorkbook(minimalWorkbook())));
+
+    const result = run(['build', 'course.xlsx', '-o', 'out.tar.gz'], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.ok(existsSync(join(dir, 'out.tar.gz')));
+}));
+
+test('build reports workbook errors and exits 1 without writing', () => inTempDir(async dir => {
+    const workbook = minimalWorkbook({
+        'Grading': {
+            columns: ['assignment_type', 'short_label', 'weight', 'min_count', 'drop_count'],
+            rows: [{ assignment_type: 'Homework', short_label: 'HW', weight: 0.5, min_count: 1, drop_count: 0 }]
+        }
+    });
+    writeFileSync(join(dir, 'course.xlsx'), Buffer.from(await writeWorkbook(workbook)));
+
+    const result = run(['build', 'course.xlsx', '-o', 'out.tar.gz', '--json'], dir);
+    assert.equal(result.status, 1);
+    const { ok, diagnostics } = JSON.parse(result.stdout);
+    assert.equal(ok, false);
+    assert.deepEqual(diagnostics, [
+        { level: 'error', message: 'Grading: Assignment type weights must add up to 1 (currently 0.5).' }
+    ]);
+    assert.ok(!existsSync(join(dir, 'out.tar.gz')));
+}));
+
+test('a missing input file exits 1', () => inTempDir(async dir => {
+    const result = run(['import', 'missing.tar.gz'], dir);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /^error: .*missing\.tar\.gz/);
+}));
+
+test('build reports the workbook error, not a crash, for a raw row without a component', () => inTempDir(async dir => {
+    const workbook = minimalWorkbook({
+        'Structure': {
+            columns: ['chapter', 'sequential', 'vertical', 'block_type', 'block_id'],
+            rows: [{ chapter: 'Chapter', sequential: 'Section', vertical: 'Unit', block_type: 'raw', block_id: 'ghost' }]
+        }
+    });
+    writeFileSync(join(dir, 'course.xlsx'), Buffer.from(await writeWorkbook(workbook)));
+
+    const result = run(['build', 'course.xlsx'], dir);
+    assert.equal(result.status, 1);
+    assert.equal(result.stderr, 'error: Structure references raw component "ghost" but it\'s not defined in "Raw Components" sheet.\n');
+}));
@@ -0,0 +1,312 @@
+/**
+ * The fixture workbook, sheet by sheet: the column headers in order, then
+ * one object per row keyed by header, with blank cells left out. The tests
+ * write it to .xlsx with writeWorkbook() in helpers.js.
+ */
+export const COURSE_WORKBOOK = {
+    'Course Info': {
+        columns: ['Field', 'Value'],
+        rows: [
+            { Field: 'Course Name', Value: 'Fixture Course: <Tags> & "Quotes"' },
+            { Field: 'Organization', Value: 'CCNMTLx' },
+            { Field: 'Course ID', Value: 'FIX101' },
+            { Field: 'Run', Value: '2024_T1' },
+            { Field: 'Language', Value: 'en' },
+            { Field: 'Start Date', Value: '2024-01-15' },
+            { Field: 'End Date', Value: '2024-12-31' },
+            { Field: 'Self-Paced', Value: 'No' },
+            { Field: 'Enrollment Start', Value: '2023-12-01' },
+            { Field: 'Enrollment End', Value: '2024-01-31T17:00:00Z' },
+            { Field: 'Certificate Date', Value: '2025-01-15' },
+            { Field: 'Course Image', Value: 'diagram.png' },
+            { Field: 'Short Description', Value: 'Tags & "quotes" for everyone.' },
+            { Field: 'Overview', Value: '<section class="about"><h2>About</h2><p>Fish &amp; chips.</p></section>' },
+            { Field: 'Advanced Modules', Value: 'lti_consumer; poll;survey' },
+            { Field: 'Prerequisite Courses', Value: 'course-v1:CCNMTLx+FIX100+2023_T3' },
+            { Field: 'Invitation Only', Value: 'Yes' },
+            { Field: 'Tabs', Value: 'courseware; progress; wiki; Discussion' },
+            { Field: 'Hidden Tabs', Value: 'wiki' }
+        ]
+    },
+    'Structure': {
+        columns: ['chapter', 'sequential', 'vertical', 'block_type', 'block_id', 'chapter_id', 'sequential_id', 'vertical_id', 'graded', 'format', 'due'],
+        rows: [
+            { chapter: 'Chapter 1: Intro & Setup', sequential: '1.1 Welcome', vertical: 'Overview', block_type: 'text', block_id: 'welcome_text' },
+            { chapter: 'Chapter 1: Intro & Setup', sequential: '1.1 Welcome', vertical: 'Overview', block_type: 'video', block_id: 'welcome_video' },
+            { chapter: 'Chapter 1: Intro & Setup', sequential: '1.2 Quiz', vertical: 'Questions', block_type: 'problem', block_id: 'q_single', graded: 'Yes', format: 'Homework', due: '2024-03-01' },
+            { chapter: 'Chapter 1: Intro & Setup', sequential: '1.2 Quiz', vertical: 'Questions', block_type: 'problem', block_id: 'q_multi' },
+            { chapter: 'Chapter 1: Intro & Setup', sequential: '1.2 Quiz', vertical: 'Questions', block_type: 'problem', block_id: 'q_dropdown' },
+            { chapter: 'Chapter 1: Intro & Setup', sequential: '1.2 Quiz', vertical: 'More Questions', block_type: 'problem', block_id: 'q_numerical' },
+            { chapter: 'Chapter 1: Intro & Setup', sequential: '1.2 Quiz', vertical: 'More Questions', block_type: 'problem', block_id: 'q_text' },
+            { chapter: 'Chapter 1: Intro & Setup', sequential: '1.2 Quiz', vertical: 'More Questions', block_type: 'problem', block_id: 'q_formula' },
+            { chapter: 'Chapter 1: Intro & Setup', sequential: '1.2 Quiz', vertical: 'Random Question', block_type: 'library', block_id: 'q_bank' },
+            { chapter: 'Chapter 2: Assignments', sequential: '2.1 Lecture', vertical: 'Lecture', block_type: 'video', block_id: 'lecture_video', chapter_id: 'week_2' },
+            { chapter: 'Chapter 2: Assignments', sequential: '2.1 Lecture', vertical: 'Lecture', block_type: 'text', block_id: 'reading_1', chapter_id: 'week_2' },
+            {
+                chapter: 'Chapter 2: Assignments',
+                sequential: '2.2 Essay',
+                vertical: 'Essay',
+                block_type: 'openresponse',
+                block_id: 'essay_1',
+                chapter_id: 'week_2',
+                sequential_id: 'essay_seq',
+                vertical_id: 'essay_unit',
+                graded: 'Yes',
+                format: 'Final Exam'
+            },
+            {
+                chapter: 'Chapter 2: Assignments',
+                sequential: '2.2 Essay',
+                vertical: 'Essay',
+                block_type: 'discussion',
+                block_id: 'essay_talk',
+                chapter_id: 'week_2',
+                sequential_id: 'essay_seq',
+                vertical_id: 'essay_unit'
+            },
+            { chapter: 'Chapter 2: Assignments', sequential: '2.3 Lab', vertical: 'Simulation', block_type: 'lti', block_id: 'lab_tool', chapter_id: 'week_2' },
+            { chapter: 'Chapter 2: Assignments', sequential: '2.3 Lab', vertical: 'Simulation', block_type: 'raw', block_id: 'cloud_1', chapter_id: 'week_2' },
+            { chapter: 'Chapter 2: Assignments', sequential: '2.3 Lab', vertical: 'Simulation', block_type: 'raw', block_id: 'widget_1', chapter_id: 'week_2' },
+            { chapter: 'Chapter 2: Assignments', sequential: '2.3 Lab', vertical: 'Feedback', block_type: 'poll', block_id: 'pulse_poll', chapter_id: 'week_2' },
+            { chapter: 'Chapter 2: Assignments', sequential: '2.3 Lab', vertical: 'Feedback', block_type: 'survey', block_id: 'course_survey', chapter_id: 'week_2' },
+            { chapter: 'Chapter 2: Assignments', sequential: '2.3 Lab', vertical: 'Sorting', block_type: 'dragdrop', block_id: 'sort_vars', chapter_id: 'week_2' }
+        ]
+    },
+    'Text Blocks': {
+        columns: ['block_id', 'title', 'content'],
+        rows: [
+            {
+                block_id: 'welcome_text',
+                title: 'Welcome & Overview',
+                content: '<h1>Welcome</h1>\n<p>Fish &amp; chips, "quoted" text and <em>emphasis</em>.</p>\n<p><img src="/static/diagram.png" alt="Diagram"/></p>'
+            },
+            { block_id: 'reading_1', title: 'Reading', content: 'Read chapter 1 before class.\n\nThen skim chapter 2.' }
+        ]
+    },
+    'Videos': {
+        columns: ['block_id', 'title', 'youtube_id', 'html5_url', 'start_time', 'end_time', 'transcript_file', 'transcript_es'],
+        rows: [
+            { block_id: 'welcome_video', title: 'Welcome Video', youtube_id: 'dQw4w9WgXcQ', start_time: '00:00:00', end_time: '00:00:00', transcript_file: 'welcome.srt' },
+            { block_id: 'lecture_video', title: 'Lecture <1>', html5_url: 'https://example.com/video.mp4?a=1&b=2', start_time: '00:00:10', end_time: '00:10:00', transcript_es: 'lecture_es.vtt' }
+        ]
+    },
+    'Problems': {
+        columns: ['block_id', 'title', 'problem_type', 'question_text', 'choice_a', 'choice_b', 'choice_c', 'choice_d', 'correct', 'hint_a', 'hint_b', 'hint_c', 'hint_d', 'answer', 'tolerance', 'additional_answers', 'case_sensitive', 'explanation', 'show_answer', 'weight', 'max_attempts', 'rerandomize', 'show_reset_button', 'raw_xml', 'partial_credit', 'points_c', 'compound_hint_1', 'demand_hint_1', 'demand_hint_2'],
+        rows: [
+            {
+                block_id: 'q_single',
+                title: 'Single',
+                problem_type: 'single-select',
+                question_text: 'Is 2 < 3 & 3 > 2?',
+                choice_a: 'Yes',
+                choice_b: 'No',
+                choice_c: 'Only one of them',
+                correct: 'A',
+                hint_a: 'Right!',
+                hint_b: 'Look again.',
+                explanation: 'Both comparisons hold.',
+                show_answer: 'attempted',
+                weight: '2',
+                max_attempts: '3',
+                show_reset_button: 'Yes',
+                partial_credit: 'points',
+                points_c: '0.5'
+            },
+            {
+                block_id: 'q_multi',
+                title: 'Multi',
+                problem_type: '',
+                question_text: '<p>Look at the colour wheel.</p>\n<img src="/static/diagram.png" alt="A colour wheel"/>\n<p>Which are <strong>primary</strong> colours?</p>',
+                choice_a: 'Red',
+                choice_b: 'Green',
+                choice_c: 'Blue',
+                choice_d: 'Purple <code>#800080</code>',
+                correct: 'A,C',
+                explanation: '<p>Painters mix every other colour from <em>red, yellow and blue</em>.</p>',
+                show_answer: 'finished',
+                rerandomize: 'never',
+                partial_credit: 'edc',
+                compound_hint_1: 'A, B: Green is mixed from <em>blue</em> and yellow.',
+                demand_hint_1: 'There are three of them.',
+                demand_hint_2: 'None of them can be mixed from the others.'
+            },
+            {
+                block_id: 'q_dropdown',
+                title: 'Dropdown',
+                problem_type: 'dropdown',
+                question_text: 'Water boils at ___ °C.',
+                choice_a: '90',
+                choice_b: '100',
+                choice_c: '110',
+                correct: 'B',
+                hint_b: 'At sea level.',
+                show_answer: 'attempted',
+                show_reset_button: 'No'
+            },
+            {
+                block_id: 'q_numerical',
+                title: 'Numerical',
+                problem_type: 'numerical',
+                question_text: 'What is pi to two decimal places?',
+                answer: '3.14',
+                tolerance: '1%',
+                explanation: 'Pi ≈ 3.14159.',
+                show_answer: 'attempted',
+                demand_hint_1: 'Divide a circumference by its diameter.'
+            },
+            {
+                block_id: 'q_text',
+                title: 'Text Input',
+                problem_type: 'text-input',
+                question_text: 'Chemical symbol for water?',
+                answer: 'H2O',
+                additional_answers: 'H₂O;water',
+                case_sensitive: 'Yes',
+                show_answer: 'attempted'
+            },
+            { block_id: 'q_bank_1', title: 'Bank 1', problem_type: 'single-select', question_text: 'Which planet is largest?', choice_a: 'Jupiter', choice_b: 'Mars', correct: 'A' },
+            { block_id: 'q_bank_2', title: 'Bank 2', problem_type: 'single-select', question_text: 'Which planet is closest to the Sun?', choice_a: 'Venus', choice_b: 'Mercury', correct: 'B' },
+            {
+                block_id: 'q_formula',
+                title: 'Formula',
+                raw_xml: '<problem display_name="Formula" showanswer="finished">\n  <formularesponse type="ci" samples="x@1:5#10" answer="x^2 + 2*x">\n    <label>Expand x(x + 2).</label>\n    <responseparam type="tolerance" default="0.00001"/>\n    <formulaequationinput size="20"/>\n  </formularesponse>\n</problem>'
+            }
+        ]
+    },
+    'Open Response': {
+        columns: ['block_id', 'title', 'prompt_1', 'prompt_2', 'criterion_1_name', 'criterion_1_options', 'criterion_2_name', 'criterion_2_options', 'assessment_type', 'criterion_1_prompt', 'criterion_1_explanations', 'submission_start', 'submission_due', 'peer_due', 'peer_must_grade', 'peer_graded_by', 'self_start', 'text_response', 'file_upload', 'file_upload_type', 'allowed_extensions'],
+        rows: [
+            {
+                block_id: 'essay_1',
+                title: 'Final Essay',
+                prompt_1: '<p>Write 500 words on "data &amp; society".</p>',
+                prompt_2: '<h3>Sources</h3>\n<ul><li>List <em>two</em> sources.</li></ul>',
+                criterion_1_name: 'Ideas',
+                criterion_1_options: 'Poor=0;Fair=1;Good=2',
+                criterion_2_name: 'Content',
+                criterion_2_options: 'Weak=0;Strong=3',
+                assessment_type: 'self; Peer',
+                criterion_1_prompt: 'Is there a clear & "main" idea?',
+                criterion_1_explanations: 'No main idea; Some focus; Clear <thesis>',
+                submission_start: '2024-02-01',
+                submission_due: '2024-03-01T12:00:00Z',
+                peer_due: '2024-03-08',
+                peer_must_grade: 4,
+                peer_graded_by: 2,
+                self_start: '2024-02-01',
+                text_response: 'optional',
+                file_upload: 'optional',
+                file_upload_type: 'custom',
+                allowed_extensions: '.csv; TXT'
+            }
+        ]
+    },
+    'Grading': {
+        columns: ['assignment_type', 'short_label', 'weight', 'min_count', 'drop_count', 'grade', 'cutoff'],
+        rows: [
+            { assignment_type: 'Homework', short_label: 'HW', weight: 0.6, min_count: 1, drop_count: 0, grade: 'A', cutoff: 0.9 },
+            { assignment_type: 'Final Exam', short_label: 'Final', weight: 0.4, min_count: 1, drop_count: 0, grade: 'B', cutoff: 0.75 }
+        ]
+    },
+    'Discussions': {
+        columns: ['block_id', 'title', 'discussion_category', 'discussion_target', 'discussion_id'],
+        rows: [
+            { block_id: 'essay_talk', title: 'Talk About "Essays"', discussion_category: 'Week 2 & Beyond', discussion_target: 'Essay Ideas', discussion_id: '' }
+        ]
+    },
+    'LTI': {
+        columns: ['block_id', 'title', 'lti_id', 'launch_url', 'custom_parameters', 'has_score', 'weight', 'launch_target'],
+        rows: [
+            {
+                block_id: 'lab_tool',
+                title: 'Circuit Lab & "Sim"',
+                lti_id: 'circuit_lab',
+                launch_url: 'https://tools.example.org/lti?course=FIX101&mode=full',
+                custom_parameters: 'level=2; lang=en',
+                has_score: 'Yes',
+                weight: 10,
+                launch_target: 'new_window'
+            }
+        ]
+    },
+    'Libraries': {
+        columns: ['block_id', 'title', 'source_library_id', 'max_count', 'capa_type', 'problem_ids'],
+        rows: [
+            { block_id: 'q_bank', title: 'Practice Bank', source_library_id: 'library-v1:CCNMTLx+FIXLIB', max_count: 1, capa_type: 'multiplechoiceresponse', problem_ids: 'q_bank_1; q_bank_2' }
+        ]
+    },
+    'Raw Components': {
+        columns: ['block_id', 'file', 'content'],
+        rows: [
+            { block_id: 'cloud_1', content: '<word_cloud display_name="Cloud &amp; Words" num_inputs="3" num_top_words="50"/>' },
+            { block_id: 'widget_1', file: 'acme_widget/widget_1/settings.json', content: '{"mode": "demo", "levels": [1, 2]}' },
+            { block_id: 'widget_1', content: '<acme_widget display_name="Widget">\n  <setting name="config" src="settings.json"/>\n</acme_widget>' }
+        ]
+    },
+    'Polls': {
+        columns: ['block_id', 'title', 'question', 'answer_a', 'answer_b', 'answer_c', 'image_c', 'image_alt_c', 'feedback', 'private_results', 'max_submissions'],
+        rows: [
+            {
+                block_id: 'pulse_poll',
+                title: 'Quick Pulse',
+                question: 'How **confident** are you?',
+                answer_a: 'Very',
+                answer_b: 'Somewhat',
+                image_c: 'https://example.org/shrug.png',
+                image_alt_c: 'A shrug',
+                feedback: 'Thanks & see you!',
+                private_results: 'Yes',
+                max_submissions: 0
+            }
+        ]
+    },
+    'Surveys': {
+        columns: ['block_id', 'title', 'question_a', 'question_b', 'answers', 'answer_keys', 'private_results'],
+        rows: [
+            {
+                block_id: 'course_survey',
+                title: 'Course Survey',
+                question_a: 'Pace & load',
+                question_b: 'Clarity of "instructions"',
+                answers: 'Agree; Disagree',
+                answer_keys: 'Y; N',
+                private_results: 'No'
+            }
+        ]
+    },
+    'Drag and Drop': {
+        columns: ['block_id', 'title', 'question_text', 'mode', 'max_attempts', 'weight', 'background_image', 'background_description', 'show_zone_labels', 'show_zone_borders', 'intro_feedback', 'final_feedback'],
+        rows: [
+            {
+                block_id: 'sort_vars',
+                title: 'Sort <Variables>',
+                question_text: 'Sort each quantity by "role" & type.',
+                mode: 'assessment',
+                max_attempts: '3',
+                weight: '2',
+                background_image: '/static/diagram.png',
+                background_description: 'Two boxes',
+                show_zone_labels: 'Yes',
+                show_zone_borders: 'No',
+                intro_feedback: 'Drag each item.',
+                final_feedback: 'All sorted!'
+            }
+        ]
+    },
+    'Drag and Drop Zones': {
+        columns: ['block_id', 'zone_id', 'title', 'description', 'x', 'y', 'width', 'height', 'align'],
+        rows: [
+            { block_id: 'sort_vars', zone_id: 'indep', title: 'Independent', description: 'What you change', x: 10, y: 20, width: 180, height: 120.5, align: 'left' },
+            { block_id: 'sort_vars', title: 'Dependent', description: 'What you measure', x: 210, y: 20, width: 180, height: 120.5 }
+        ]
+    },
+    'Drag and Drop Items': {
+        columns: ['block_id', 'text', 'image_url', 'image_description', 'zones', 'correct_feedback', 'incorrect_feedback'],
+        rows: [
+            { block_id: 'sort_vars', text: 'Heater temperature', zones: 'indep', correct_feedback: 'Correct.', incorrect_feedback: 'You set this one.' },
+            { block_id: 'sort_vars', text: 'Plant height', image_url: '/static/diagram.png', image_description: 'A seedling', zones: 'zone-2' },
+            { block_id: 'sort_vars', text: 'Either', zones: 'indep; zone-2' },
+            { block_id: 'sort_vars', text: 'Lab colour', incorrect_feedback: 'Not a variable here.' }
+        ]
+    }
+};
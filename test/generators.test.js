@@ -0,0 +1,36 @@
+/**
+ * Generators: each test builds one block of the course model and checks
+ * the OLX written for it.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateProblemBlocks } from '../src/generators/problem.js';
+
+function problemXml(fields) {
+    const block = {
+        blockId: 'q1',
+        title: 'Question',
+        problemType: 'single-select',
+        questionText: 'Which one?',
+        choices: [{ text: 'This', correct: true, hint: '' }, { text: 'That', correct: false, hint: '' }],
+        compoundHints: [],
+        partialCredit: '',
+        explanation: '',
+        demandHints: [],
+        showAnswer: 'finished',
+        ...fields
+    };
+    return generateProblemBlocks(new Map([['q1', block]])).get('problem/q1.xml');
+}
+
+test('a <div> explanation without a class is wrapped as the solution', () => {
+    const xml = problemXml({ explanation: '<div>Some <b>x</b></div>' });
+    assert.match(xml, /<solution>\n<div class="detailed-solution">\n<p>Explanation<\/p>\n<div>Some <b>x<\/b><\/div>\n<\/div>\n<\/solution>/);
+});
+
+test('each choice is closed on the line of its text, with no whitespace added to it', () => {
+    const xml = problemXml({
+        choices: [{ text: 'This', correct: true, hint: 'Yes.' }, { text: '<em>That</em>', correct: false, hint: '' }]
+    });
+    assert.match(xml, /\n {4}<choice correct="true">This <choicehint>Yes\.<\/choicehint><\/choice>\n {4}<choice correct="false"><em>That<\/em><\/choice>\n {2}<\/choicegroup>/);
+});
@@ -0,0 +1,44 @@
+/**
+ * Golden-file comparison of the OLX generated from the fixture workbook.
+ * Any change in escaping, attribute order or structure shows up as a diff
+ * against test/golden/. After an intended change, regenerate with:
+ *   UPDATE_GOLDEN=1 npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
+import { buildOlx } from '../src/pipeline.js';
+import { GOLDEN, loadCourseFixture } from './helpers.js';
+
+const GOLDEN_DIR = join(GOLDEN, 'course');
+
+function listFiles(dir) {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir, { recursive: true, withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => relative(dir, join(entry.parentPath ?? entry.path, entry.name)).split('\\').join('/'))
+        .sort();
+}
+
+test('generated OLX matches the golden files', async () => {
+    const { data } = await loadCourseFixture();
+    const { files, diagnostics } = buildOlx(data);
+    assert.deepEqual(diagnostics, []);
+
+    // Binary assets are copied verbatim; the golden files cover generated text
+    const generated = new Map([...files].filter(([, content]) => typeof content === 'string'));
+
+    if (process.env.UPDATE_GOLDEN) {
+        rmSync(GOLDEN_DIR, { recursive: true, force: true });
+        for (const [path, content] of generated) {
+            mkdirSync(dirname(join(GOLDEN_DIR, path)), { recursive: true });
+            writeFileSync(join(GOLDEN_DIR, path), content);
+        }
+    }
+
+    assert.deepEqual([...generated.keys()].sort(), listFiles(GOLDEN_DIR));
+    for (const [path, content] of generated) {
+        assert.equal(content, readFileSync(join(GOLDEN_DIR, path), 'utf-8'), path);
+    }
+});
@@ -0,0 +1,148 @@
+/**
+ * Shared helpers for the Node test suite: fixture loading and the small
+ * bits of glue (workbook writing, tar packing, Excel round trip) the tests
+ * need. Fixtures are kept as source and built here: the workbook from
+ * fixtures/course-workbook.js, the Studio export from the files under
+ * fixtures/studio-export/.
+ */
+import { readFileSync, readdirSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import ExcelJS from 'exceljs';
+import { parseWorkbook } from '../src/parser.js';
+import { courseDataToExcel } from '../src/excel-writer.js';
+import { tarGzip } from '../src/tar.js';
+import { formatEdxDate } from '../src/utils.js';
+import { COURSE_WORKBOOK } from './fixtures/course-workbook.js';
+
+export const FIXTURES = fileURLToPath(new URL('./fixtures/', import.meta.url));
+export const GOLDEN = fileURLToPath(new URL('./golden/', import.meta.url));
+
+/**
+ * Write a workbook described as { sheetName: { columns, rows } }, rows
+ * being objects keyed by column header.
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function writeWorkbook(sheets) {
+    const wb = new ExcelJS.Workbook();
+    for (const [name, { columns, rows }] of Object.entries(sheets)) {
+        const ws = wb.addWorksheet(name);
+        ws.addRow(columns);
+        for (const row of rows) {
+            ws.addRow(columns.map(column => row[column] ?? null));
+        }
+    }
+    return wb.xlsx.writeBuffer();
+}
+
+/**
+ * A one-unit course with a text block, plus (or replacing) the given sheets,
+ * for tests about a single sheet.
+ */
+export function minimalWorkbook(sheets = {}) {
+    return {
+        'Course Info': {
+            columns: ['Field', 'Value'],
+            rows: [
+                { Field: 'Course Name', Value: 'Minimal' },
+                { Field: 'Organization', Value: 'CCNMTLx' },
+                { Field: 'Course ID', Value: 'MIN101' },
+                { Field: 'Run', Value: '2024_T1' }
+            ]
+        },
+        'Structure': {
+            columns: ['chapter', 'sequential', 'vertical', 'block_type', 'block_id'],
+            rows: [{ chapter: 'Chapter', sequential: 'Section', vertical: 'Unit', block_type: 'text', block_id: 'intro' }]
+        },
+        'Text Blocks': {
+            columns: ['block_id', 'title', 'content'],
+            rows: [{ block_id: 'intro', title: 'Intro', content: 'Hello.' }]
+        },
+        ...sheets
+    };
+}
+
+/**
+ * Parse the fixture workbook, attaching the files in fixtures/assets.
+ * @returns {Promise<{ data: import('../src/model.js').CourseData, errors: string[] }>}
+ */
+export async function loadCourseFixture() {
+    const result = await parseWorkbook(await writeWorkbook(COURSE_WORKBOOK));
+    for (const name of readdirSync(FIXTURES + 'assets')) {
+        result.data.assets.set(name, new Uint8Array(readFileSync(FIXTURES + 'assets/' + name)));
+    }
+    return result;
+}
+
+/**
+ * Pack an OLX file map into a .tar.gz, the way the app exports it.
+ * @param {Map<string, string|Uint8Array>} files
+ * @returns {ArrayBuffer}
+ */
+export function toTarGz(files) {
+    const entries = [...files].map(([path, content]) => ({
+        name: `course/${path}`,
+        data: typeof content === 'string' ? new TextEncoder().encode(content) : content
+    }));
+    return tarGzip(entries).buffer;
+}
+
+/**
+ * The Studio-style export in fixtures/studio-export/, packed as a .tar.gz.
+ * @returns {ArrayBuffer}
+ */
+export function studioExport() {
+    const dir = FIXTURES + 'studio-export';
+    const files = new Map(readdirSync(dir, { recursive: true, withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => join(entry.parentPath ?? entry.path, entry.name))
+        .sort()
+        .map(path => [relative(dir, path).split('\\').join('/'), new Uint8Array(readFileSync(path))]));
+    return toTarGz(files);
+}
+
+/**
+ * Write CourseData to a workbook and parse it back; assets carry over
+ * as they would with the Import Mode assets zip.
+ */
+export async function excelRoundTrip(data) {
+    const blob = await courseDataToExcel(data);
+    const result = await parseWorkbook(await blob.arrayBuffer());
+    result.data.assets = data.assets;
+    return result;
+}
+
+/**
+ * Plain-object view of CourseData for deep comparison. Dates are
+ * normalised, since "…+00:00" and "…Z" name the same instant.
+ */
+export function comparable(data) {
+    return {
+        info: {
+            ...data.info,
+            startDate: formatEdxDate(data.info.startDate),
+            endDate: formatEdxDate(data.info.endDate),
+            enrollmentStart: formatEdxDate(data.info.enrollmentStart),
+            enrollmentEnd: formatEdxDate(data.info.enrollmentEnd),
+            certificateDate: formatEdxDate(data.info.certificateDate)
+        },
+        grading: data.grading,
+        structure: data.structure.map(r => ({ ...r, due: formatEdxDate(r.due) })),
+        textBlocks: Object.fromEntries(data.textBlocks),
+        videoBlocks: Object.fromEntries(data.videoBlocks),
+        problemBlocks: Object.fromEntries(data.problemBlocks),
+        openResponseBlocks: Object.fromEntries([...data.openResponseBlocks].map(([id, block]) => [id, {
+            ...block,
+            ...Object.fromEntries(['submissionStart', 'submissionDue', 'peerStart', 'peerDue', 'selfStart', 'selfDue']
+                .map(key => [key, formatEdxDate(block[key])]))
+        }])),
+        discussionBlocks: Object.fromEntries(data.discussionBlocks),
+        ltiBlocks: Object.fromEntries(data.ltiBlocks),
+        libraryBlocks: Object.fromEntries(data.libraryBlocks),
+        pollBlocks: Object.fromEntries(data.pollBlocks),
+        surveyBlocks: Object.fromEntries(data.surveyBlocks),
+        dragDropBlocks: Object.fromEntries(data.dragDropBlocks),
+        rawBlocks: Object.fromEntries(data.rawBlocks),
+        assets: Object.fromEntries([...data.assets].map(([name, bytes]) => [name, Buffer.from(bytes).toString('base64')]))
+    };
+}
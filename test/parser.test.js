@@ -0,0 +1,279 @@
+/**
+ * Workbook parsing: each test builds a small workbook around one mistake
+ * or edge case and checks the message the parser reports for it, or what
+ * it reads.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWorkbook } from '../src/parser.js';
+import { buildOlx, checkCourse } from '../src/pipeline.js';
+import { minimalWorkbook, writeWorkbook } from './helpers.js';
+
+async function parseCourse(sheets = {}) {
+    return parseWorkbook(await writeWorkbook(minimalWorkbook(sheets)));
+}
+
+test('the base workbook has no errors', async () => {
+    assert.deepEqual((await parseCourse()).errors, []);
+});
+
+test('grading weights must add up to 1', async () => {
+    const { errors } = await parseCourse({
+        'Grading': {
+            columns: ['assignment_type', 'short_label', 'weight', 'min_count', 'drop_count'],
+            rows: [
+                { assignment_type: 'Homework', short_label: 'HW', weight: 0.5, min_count: 1, drop_count: 0 },
+                { assignment_type: 'Exam', short_label: 'Ex', weight: 0.3, min_count: 1, drop_count: 0 }
+            ]
+        }
+    });
+    assert.deepEqual(errors, ['Grading: Assignment type weights must add up to 1 (currently 0.8).']);
+});
+
+test('an LTI launch URL must be http or https', async () => {
+    const { errors } = await parseCourse({
+        'LTI': {
+            columns: ['block_id', 'title', 'lti_id', 'launch_url'],
+            rows: [{ block_id: 'tool', title: 'Tool', lti_id: 'tool', launch_url: 'ftp://tools.example.org/launch' }]
+        }
+    });
+    assert.deepEqual(errors, ['LTI row 2: "launch_url" must be an http:// or https:// URL.']);
+});
+
+test('raw problem XML must be a well-formed <problem>', async () => {
+    const { errors } = await parseCourse({
+        'Problems': {
+            columns: ['block_id', 'raw_xml'],
+            rows: [
+                { block_id: 'broken', raw_xml: '<problem><customresponse></problem>' },
+                { block_id: 'other', raw_xml: '<html/>' },
+                { block_id: 'custom', raw_xml: '<problem display_name="Custom"><customresponse cfn="check"/></problem>' }
+            ]
+        }
+    });
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /^Problems row 2: "raw_xml" is not well-formed: /);
+    assert.equal(errors[1], 'Problems row 3: "raw_xml" must be a <problem> element, not <html>.');
+});
+
+test('a raw Structure row must name a Raw Components block', async () => {
+    const { data, errors } = await parseCourse({
+        'Structure': {
+            columns: ['chapter', 'sequential', 'vertical', 'block_type', 'block_id'],
+            rows: [
+                { chapter: 'Chapter', sequential: 'Section', vertical: 'Unit', block_type: 'text', block_id: 'intro' },
+                { chapter: 'Chapter', sequential: 'Section', vertical: 'Unit', block_type: 'raw', block_id: 'ghost' }
+            ]
+        }
+    });
+    assert.deepEqual(errors, ['Structure references raw component "ghost" but it\'s not defined in "Raw Components" sheet.']);
+
+    // Building what was parsed leaves the missing component out rather than failing
+    const vertical = [...buildOlx(data).files].find(([path]) => path.startsWith('vertical/'))[1];
+    assert.doesNotMatch(vertical, /ghost/);
+});
+
+test('raw component files must stay out of the course tree', async () => {
+    const { data, errors } = await parseCourse({
+        'Raw Components': {
+            columns: ['block_id', 'file', 'content'],
+            rows: [
+                { block_id: 'gate', content: '<conditional display_name="Gate"><html url_name="after"/></conditional>' },
+                { block_id: 'gate', file: 'html/after.xml', content: '<html filename="after"/>' },
+                { block_id: 'gate', file: 'html/after.html', content: '<p>Unlocked.</p>' },
+                { block_id: 'gate', file: 'policies/policy.json', content: '{}' },
+                { block_id: 'gate', file: 'html/../course.xml', content: '<course/>' }
+            ]
+        }
+    });
+    assert.deepEqual(errors, [
+        'Raw Components row 5: file "policies/policy.json" must be inside a component folder such as "conditional/".',
+        'Raw Components row 6: file "html/../course.xml" must be inside a component folder such as "conditional/".'
+    ]);
+    assert.deepEqual([...data.rawBlocks.get('gate').files.keys()], ['html/after.xml', 'html/after.html']);
+});
+
+test('compound hints must name filled-in choices by letter', async () => {
+    const hints = ['A,C: Almost.', 'A and B: Not quite.', 'A,E: Close.'];
+    const { errors } = await parseCourse({
+        'Problems': {
+            columns: ['block_id', 'problem_type', 'question_text', 'choice_a', 'choice_b', 'choice_c', 'choice_e', 'correct', 'compound_hint_1'],
+            rows: hints.map((hint, i) => ({
+                block_id: `pick_${i}`, problem_type: 'multi-select', question_text: 'Pick two.',
+                choice_a: 'One', choice_b: 'Two', choice_c: 'Three', correct: 'A,C', compound_hint_1: hint
+            }))
+        }
+    });
+    assert.deepEqual(errors, [
+        'Problems row 3: "compound_hint_1" must be choice letters, a colon and the hint, e.g. "A,C: Almost there."',
+        'Problems row 4: "compound_hint_1" refers to choice E, which is blank.'
+    ]);
+});
+
+test('every demand hint column is read', async () => {
+    const columns = Array.from({ length: 12 }, (_, i) => `demand_hint_${i + 1}`);
+    const { data, errors } = await parseCourse({
+        'Problems': {
+            columns: ['block_id', 'problem_type', 'question_text', 'answer', ...columns],
+            rows: [{
+                block_id: 'count', problem_type: 'numerical', question_text: 'How many?', answer: '12',
+                ...Object.fromEntries(columns.map((column, i) => [column, `Hint ${i + 1}`]))
+            }]
+        }
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(data.problemBlocks.get('count').demandHints.length, 12);
+    assert.equal(data.problemBlocks.get('count').demandHints[11], 'Hint 12');
+});
+
+test('every open response prompt column is read', async () => {
+    const columns = Array.from({ length: 12 }, (_, i) => `prompt_${i + 1}`);
+    const { data, errors } = await parseCourse({
+        'Open Response': {
+            columns: ['block_id', 'title', 'assessment_type', ...columns],
+            rows: [{
+                block_id: 'essay', title: 'Essay', assessment_type: 'self',
+                ...Object.fromEntries(columns.map((column, i) => [column, `Question ${i + 1}`]))
+            }]
+        }
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(data.openResponseBlocks.get('essay').prompts.length, 12);
+    assert.equal(data.openResponseBlocks.get('essay').prompts[11], 'Question 12');
+});
+
+test('an explanation is written as is only when it is a whole detailed-solution <div>', async () => {
+    const explanations = [
+        'See the detailed-solution notes.',
+        '<p>Its class is <code>detailed-solution</code>.</p>',
+        '<div class="detailed-solution"><p>Explanation</p><p>Because.</p></div>'
+    ];
+    const { data, errors } = await parseCourse({
+        'Structure': {
+            columns: ['chapter', 'sequential', 'vertical', 'block_type', 'block_id'],
+            rows: explanations.map((_, i) => ({ chapter: 'Chapter', sequential: 'Section', vertical: 'Unit', block_type: 'problem', block_id: `why_${i}` }))
+        },
+        'Problems': {
+            columns: ['block_id', 'problem_type', 'question_text', 'choice_a', 'choice_b', 'correct', 'explanation'],
+            rows: explanations.map((explanation, i) => ({
+                block_id: `why_${i}`, problem_type: 'single-select', question_text: 'Why?', choice_a: 'This', choice_b: 'That', correct: 'A', explanation
+            }))
+        }
+    });
+    assert.deepEqual(errors, []);
+    const { files } = buildOlx(data);
+    const solution = i => files.get(`problem/why_${i}.xml`).match(/<solution>\n([^]*)<\/solution>/)[1];
+    assert.equal(solution(0), '<div class="detailed-solution">\n<p>Explanation</p>\n<p>See the detailed-solution notes.</p>\n</div>\n');
+    assert.equal(solution(1), '<div class="detailed-solution">\n<p>Explanation</p>\n<p>Its class is <code>detailed-solution</code>.</p>\n</div>\n');
+    assert.equal(solution(2), `${explanations[2]}\n`);
+});
+
+test('transcript languages keep the case of their column header', async () => {
+    const { data, errors } = await parseCourse({
+        'Videos': {
+            columns: ['block_id', 'title', 'youtube_id', 'transcript_file', 'transcript_zh_HANS', 'transcript_pt-BR'],
+            rows: [{
+                block_id: 'lecture', title: 'Lecture', youtube_id: 'dQw4w9WgXcQ', transcript_file: 'lecture_en.srt',
+                'transcript_zh_HANS': 'lecture_zh.srt', 'transcript_pt-BR': 'lecture_pt.vtt'
+            }]
+        }
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(data.videoBlocks.get('lecture').transcripts, [
+        { language: 'en', file: 'lecture_en.srt' },
+        { language: 'zh_HANS', file: 'lecture_zh.srt' },
+        { language: 'pt-BR', file: 'lecture_pt.vtt' }
+    ]);
+});
+
+test('inequalities in problem text are plain text, not markup', async () => {
+    const { data, errors } = await parseCourse({
+        'Structure': {
+            columns: ['chapter', 'sequential', 'vertical', 'block_type', 'block_id'],
+            rows: [{ chapter: 'Chapter', sequential: 'Section', vertical: 'Unit', block_type: 'problem', block_id: 'range' }]
+        },
+        'Problems': {
+            columns: ['block_id', 'problem_type', 'question_text', 'choice_a', 'choice_b', 'correct', 'explanation'],
+            rows: [{
+                block_id: 'range', problem_type: 'single-select', question_text: 'Is 3<x and x>1?',
+                choice_a: 'a<b, c>d', choice_b: 'Never', correct: 'A', explanation: 'When x>3, both x>1 and 3<x hold.'
+            }]
+        }
+    });
+    assert.deepEqual(errors, []);
+    const xml = buildOlx(data).files.get('problem/range.xml');
+    assert.match(xml, /<label>Is 3&lt;x and x&gt;1\?<\/label>/);
+    assert.match(xml, /<choice correct="true">a&lt;b, c&gt;d/);
+    assert.match(xml, /<p>When x&gt;3, both x&gt;1 and 3&lt;x hold.<\/p>/);
+});
+
+test('blank hint cells are skipped, not the end of the hints', async () => {
+    const { data, errors } = await parseCourse({
+        'Problems': {
+            columns: ['block_id', 'problem_type', 'question_text', 'choice_a', 'choice_b', 'choice_c', 'correct',
+                'compound_hint_1', 'compound_hint_2', 'demand_hint_1', 'demand_hint_2', 'demand_hint_3'],
+            rows: [{
+                block_id: 'pick', problem_type: 'multi-select', question_text: 'Pick two.',
+                choice_a: 'One', choice_b: 'Two', choice_c: 'Three', correct: 'A,C',
+                compound_hint_2: 'A,B: <em>Not</em> quite.', demand_hint_2: 'Look again.', demand_hint_3: 'Two is even.'
+            }]
+        }
+    });
+    assert.deepEqual(errors, []);
+    const pick = data.problemBlocks.get('pick');
+    assert.deepEqual(pick.compoundHints, [{ choices: ['A', 'B'], hint: '<em>Not</em> quite.' }]);
+    assert.deepEqual(pick.demandHints, ['Look again.', 'Two is even.']);
+});
+
+test('blank prompt cells are skipped, not the end of the prompts', async () => {
+    const { data, errors } = await parseCourse({
+        'Open Response': {
+            columns: ['block_id', 'title', 'assessment_type', 'prompt_1', 'prompt_2', 'prompt_3'],
+            rows: [{ block_id: 'essay', title: 'Essay', assessment_type: 'self', prompt_1: 'Summarize.', prompt_3: 'Reflect.' }]
+        }
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(data.openResponseBlocks.get('essay').prompts, ['Summarize.', 'Reflect.']);
+});
+
+test('content is checked even when the workbook has errors', async () => {
+    const { data, errors } = await parseCourse({
+        'Text Blocks': {
+            columns: ['block_id', 'title', 'content'],
+            rows: [{ block_id: 'intro', title: 'Intro', content: '<p>Hi</p><script>alert(1)</script>' }]
+        },
+        'LTI': {
+            columns: ['block_id', 'title', 'lti_id', 'launch_url'],
+            rows: [{ block_id: 'tool', title: 'Tool', lti_id: 'tool', launch_url: 'ftp://tools.example.org/launch' }]
+        }
+    });
+    assert.equal(errors.length, 1);
+    assert.deepEqual(checkCourse(data, new Map()), [
+        { level: 'error', blockId: 'intro', message: '<script> elements are not allowed.' }
+    ]);
+});
+
+test('points partial credit is for single-select problems, with a share per wrong choice', async () => {
+    const rows = [
+        { problem_type: 'multi-select', correct: 'A,B', partial_credit: 'points' },
+        { problem_type: 'single-select', correct: 'A', points_b: '0.5' },
+        { problem_type: 'single-select', correct: 'A', partial_credit: 'points', points_b: '2' },
+        { problem_type: 'single-select', correct: 'A', partial_credit: 'points', points_a: '0.5' },
+        { problem_type: 'single-select', correct: 'A', partial_credit: 'Points', points_b: '0.25' }
+    ];
+    const { data, errors } = await parseCourse({
+        'Problems': {
+            columns: ['block_id', 'problem_type', 'question_text', 'choice_a', 'choice_b', 'correct', 'partial_credit', 'points_a', 'points_b'],
+            rows: rows.map((row, i) => ({ block_id: `score_${i}`, question_text: 'Which?', choice_a: 'This', choice_b: 'That', ...row }))
+        }
+    });
+    assert.deepEqual(errors, [
+        'Problems row 2: "partial_credit" points only applies to single-select problems.',
+        'Problems row 3: "points_b" only applies when partial_credit is points.',
+        'Problems row 4: Invalid points_b "2". Must be a number between 0 and 1.',
+        'Problems row 5: "points_a" is set on the correct answer, which always earns full credit.'
+    ]);
+    const scored = data.problemBlocks.get('score_4');
+    assert.equal(scored.partialCredit, 'points');
+    assert.deepEqual(scored.choices.map(c => c.pointValue), ['', '0.25']);
+});
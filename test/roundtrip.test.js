@@ -0,0 +1,280 @@
+/**
+ * Round trips through every converter:
+ *   Excel → OLX → Excel (fixtures/course-workbook.js)
+ *   OLX → Excel → OLX   (fixtures/studio-export/)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { buildOlx, importOlx } from '../src/pipeline.js';
+import { FIXTURES, loadCourseFixture, studioExport, toTarGz, excelRoundTrip, comparable } from './helpers.js';
+
+const BLOCK_TYPES = ['text', 'video', 'problem', 'openresponse', 'discussion', 'lti', 'library', 'poll', 'survey', 'dragdrop', 'raw'];
+const PROBLEM_TYPES = ['single-select', 'multi-select', 'dropdown', 'numerical', 'text-input'];
+
+/**
+ * Fail early if a fixture stops covering a block or problem type,
+ * rather than silently testing less.
+ */
+function assertCoversEveryType(data) {
+    assert.deepEqual([...new Set(data.structure.map(r => r.blockType))].sort(), [...BLOCK_TYPES].sort());
+    const problems = [...data.problemBlocks.values()];
+    assert.deepEqual(
+        [...new Set(problems.filter(p => !p.rawXml).map(p => p.problemType))].sort(),
+        [...PROBLEM_TYPES].sort()
+    );
+    assert.ok(problems.some(p => p.rawXml), 'a raw XML problem');
+}
+
+test('Excel → OLX → Excel rebuilds identical OLX', async () => {
+    const { data, errors } = await loadCourseFixture();
+    assert.deepEqual(errors, []);
+    assertCoversEveryType(data);
+
+    const first = buildOlx(data);
+    assert.deepEqual(first.diagnostics, []);
+
+    const imported = importOlx(toTarGz(first.files));
+    assert.deepEqual(imported.diagnostics, []);
+
+    const reparsed = await excelRoundTrip(imported.data);
+    assert.deepEqual(reparsed.errors, []);
+
+    const second = buildOlx(reparsed.data);
+    assert.deepEqual(second.diagnostics, []);
+    assert.deepEqual([...second.files.keys()].sort(), [...first.files.keys()].sort());
+    for (const [path, content] of first.files) {
+        assert.deepEqual(second.files.get(path), content, path);
+    }
+});
+
+test('Excel → OLX → Excel keeps the course model', async () => {
+    const { data } = await loadCourseFixture();
+    const imported = importOlx(toTarGz(buildOlx(data).files));
+
+    const before = comparable(data);
+    const after = comparable(imported.data);
+    for (const key of ['info', 'grading', 'problemBlocks', 'openResponseBlocks', 'discussionBlocks', 'ltiBlocks',
+        'libraryBlocks', 'pollBlocks', 'surveyBlocks', 'dragDropBlocks', 'rawBlocks']) {
+        assert.deepEqual(after[key], before[key], key);
+    }
+    assert.deepEqual(imported.data.textBlocks.get('welcome_text'), data.textBlocks.get('welcome_text'));
+
+    // "edc" is read as EDC; compound hints keep their choice letters
+    const multi = data.problemBlocks.get('q_multi');
+    assert.equal(multi.partialCredit, 'EDC');
+    assert.deepEqual(multi.compoundHints, [{ choices: ['A', 'B'], hint: 'Green is mixed from <em>blue</em> and yellow.' }]);
+    assert.equal(multi.demandHints.length, 2);
+
+    // Points partial credit keeps each wrong choice's share of the score
+    const single = imported.data.problemBlocks.get('q_single');
+    assert.equal(single.partialCredit, 'points');
+    assert.deepEqual(single.choices.map(c => c.pointValue), ['', '', '0.5']);
+
+    // Blocks and the containers with explicit IDs keep them
+    const rows = imported.data.structure;
+    assert.deepEqual(rows.map(r => r.blockId), data.structure.map(r => r.blockId));
+    const essay = rows.find(r => r.blockId === 'essay_1');
+    assert.equal(essay.chapterId, 'week_2');
+    assert.equal(essay.sequentialId, 'essay_seq');
+    assert.equal(essay.verticalId, 'essay_unit');
+
+    // VTT transcripts come back as SRT files in static/
+    const lecture = imported.data.videoBlocks.get('lecture_video');
+    assert.deepEqual(lecture.transcripts, [{ language: 'es', file: 'lecture_es.srt' }]);
+    assert.match(new TextDecoder().decode(imported.data.assets.get('lecture_es.srt')), /^1\n00:00:01,000 --> 00:00:04,000\nBienvenidos/);
+    assert.deepEqual(imported.data.assets.get('diagram.png'), data.assets.get('diagram.png'));
+});
+
+test('OLX → Excel → OLX keeps a Studio export', async () => {
+    const studio = importOlx(studioExport());
+    assert.deepEqual(studio.diagnostics.filter(d => !/LTI|tab/.test(d.message)), []);
+    assertCoversEveryType(studio.data);
+
+    const reparsed = await excelRoundTrip(studio.data);
+    assert.deepEqual(reparsed.errors, []);
+
+    const rebuilt = buildOlx(reparsed.data);
+    assert.deepEqual(rebuilt.diagnostics.filter(d => d.level === 'error'), []);
+
+    const reimported = importOlx(toTarGz(rebuilt.files));
+    assert.deepEqual(reimported.diagnostics, []);
+    assert.deepEqual(comparable(reimported.data), comparable(studio.data));
+});
+
+test('Studio export is read into the expected model', () => {
+    const { data, diagnostics } = importOlx(studioExport());
+
+    assert.equal(data.info.courseName, 'Studio Fixture: Data & Society');
+    assert.equal(data.info.startDate, '2023-09-05T00:00:00+00:00');
+
+    // Course settings come from policy.json and the About page files
+    assert.equal(data.info.enrollmentStart, '2023-08-01T00:00:00Z');
+    assert.equal(data.info.certificateDate, '2024-01-10T00:00:00Z');
+    assert.equal(data.info.courseImage, 'course_image.png');
+    assert.equal(data.info.shortDescription, 'How data shapes society.');
+    assert.equal(data.info.overview, '<section class="about"><h2>About This Course</h2></section>');
+    assert.deepEqual(data.info.advancedModules, ['openassessment']);
+    assert.deepEqual(data.info.prerequisiteCourses, ['course-v1:CCNMTLx+STU100+2023_Spring']);
+    assert.equal(data.info.invitationOnly, true);
+    assert.deepEqual(data.info.tabs, ['courseware', 'progress', 'wiki']);
+    assert.deepEqual(data.info.hiddenTabs, ['wiki']);
+    assert.deepEqual(data.grading.cutoffs, [{ grade: 'Pass', cutoff: 0.6 }]);
+
+    const homework = data.structure.find(r => r.sequential === 'Homework 1');
+    assert.equal(homework.graded, true);
+    assert.equal(homework.format, 'Homework');
+    assert.equal(homework.due, '2023-09-30T23:59:00+00:00');
+
+    const video = data.videoBlocks.get('4f5a6b7c8d9e4f0a1b2c3d4e5f6a7b8c');
+    assert.equal(video.youtubeId, 'dQw4w9WgXcQ');
+    assert.deepEqual(video.transcripts, [{ language: 'en', file: 'intro-en.srt' }]);
+
+    const numerical = data.problemBlocks.get('9e0f1a2b3c4d4e5f6a7b8c9d0e1f2a3b');
+    assert.equal(numerical.problemType, 'numerical');
+    assert.equal(numerical.answer, '4.5');
+    assert.equal(numerical.tolerance, '0.05');
+    assert.deepEqual(numerical.demandHints, ['Add the four numbers first.', 'Then divide by <strong>4</strong>.']);
+
+    // Problem HTML is kept as markup, problem-level paragraphs and images included
+    const dataTypes = data.problemBlocks.get('7c8d9e0f1a2b4c3d4e5f6a7b8c9d0e1f');
+    assert.equal(dataTypes.questionText, '<p>A survey records these fields for each respondent:</p>\n'
+        + '<img src="/static/diagram.png" alt="Survey form"/>\n'
+        + '<label>Which of these are <em>categorical</em> variables?</label>');
+    assert.equal(dataTypes.choices[1].text, 'Height in <code>cm</code>');
+    assert.match(dataTypes.explanation, /^<p>Categorical variables take one of a fixed set of values:<\/p>\n<ul>/);
+
+    // Multi-select partial credit and compound hints, with choices in order
+    assert.equal(dataTypes.partialCredit, 'EDC');
+    assert.deepEqual(dataTypes.compoundHints, [
+        { choices: ['A', 'B'], hint: 'Height is measured, not <em>categorised</em>.' },
+        { choices: ['A', 'C'], hint: 'Both correct!' }
+    ]);
+    const best = data.problemBlocks.get('4d5e6f7a8b9c4d3e2f1a0b9c8d7e6f5a');
+    assert.equal(best.partialCredit, 'points');
+    assert.deepEqual(best.choices.map(c => [c.correct, c.pointValue]), [[true, ''], [false, '0.5'], [false, '']]);
+    assert.equal(data.problemBlocks.get('6b7c8d9e0f1a4b2c3d4e5f6a7b8c9d0e').explanation,
+        'Random sampling gives each member the same probability & avoids bias.');
+
+    // Problems the sheet can't represent keep their original XML
+    const custom = data.problemBlocks.get('1a2b3c4d5e6f4a0b9c8d7e6f5a4b3c2d');
+    assert.equal(custom.title, 'Sum of Squares');
+    assert.equal(custom.problemType, '');
+    assert.match(custom.rawXml, /^<problem display_name="Sum of Squares"[^]*<script type="loncapa\/python">\ndef check_sum/);
+    assert.match(data.problemBlocks.get('2b3c4d5e6f7a4b1c0d9e8f7a6b5c4d3e').rawXml,
+        /^<problem url_name="2b3c4d5e6f7a4b1c0d9e8f7a6b5c4d3e" display_name="Two Parts"><p>Answer both parts.<\/p><numericalresponse answer="2">/);
+    // choice_a … choice_f hold six choices; an eighth has nowhere to go
+    const charts = data.problemBlocks.get('3c4d5e6f7a8b4c2d1e0f9a8b7c6d5e4f');
+    assert.equal(charts.problemType, '');
+    assert.match(charts.rawXml, /<choice correct="false">Scatter plot<\/choice>/);
+
+    const essay = data.openResponseBlocks.get('1a2b3c4d5e6f4a7b8c9d0e1f2a3b4c5d');
+    assert.deepEqual(essay.steps, ['peer', 'self', 'staff']);
+    assert.deepEqual(essay.criteria.map(c => c.name), ['Ideas', 'Content']);
+    // Text prompts become HTML, keeping their line breaks
+    assert.deepEqual(essay.prompts, [
+        '<p>Reflect on how data shapes a decision you made this week.</p>',
+        '<p>Name one source of that data.<br/>Was it reliable? (yes &lt; no)</p>'
+    ]);
+    assert.equal(essay.criteria[0].prompt, 'Determine if there is a unifying theme or main idea.');
+    assert.equal(essay.criteria[0].options[1].explanation, 'Presents a unifying theme or main idea.');
+    // ORA's default dates read as blank
+    assert.equal(essay.submissionStart, '');
+    assert.equal(essay.peerStart, '');
+    assert.equal(essay.peerDue, '2023-10-15T00:00:00+00:00');
+    assert.equal(essay.mustGrade, 4);
+    assert.equal(essay.mustBeGradedBy, 2);
+    assert.equal(essay.fileUpload, 'optional');
+    assert.equal(essay.fileUploadType, 'image');
+
+    // Inline discussion components keep their forum ID
+    assert.deepEqual(data.discussionBlocks.get('2b3c4d5e6f7a4b8c9d0e1f2a3b4c5d6e'), {
+        blockId: '2b3c4d5e6f7a4b8c9d0e1f2a3b4c5d6e',
+        title: 'Essay Discussion',
+        discussionCategory: 'Week 2',
+        discussionTarget: 'Essay Questions',
+        discussionId: 'course-v1-stu200-essay'
+    });
+
+    // Library content keeps its settings, with its problems in the Problems sheet
+    assert.deepEqual(data.libraryBlocks.get('7d8e9f0a1b2c4d3e4f5a6b7c8d9e0f1a'), {
+        blockId: '7d8e9f0a1b2c4d3e4f5a6b7c8d9e0f1a',
+        title: 'Randomized Content Block',
+        sourceLibraryId: 'library-v1:CCNMTLx+STULIB',
+        maxCount: 1,
+        capaType: 'multiplechoiceresponse',
+        problemIds: ['8e9f0a1b2c3d4e4f5a6b7c8d9e0f1a2b', '9f0a1b2c3d4e4f5a6b7c8d9e0f1a2b3c']
+    });
+    assert.equal(data.problemBlocks.get('9f0a1b2c3d4e4f5a6b7c8d9e0f1a2b3c').questionText, 'What is the mode of 2, 2, 5?');
+    assert.ok(!data.structure.some(r => r.blockId === '9f0a1b2c3d4e4f5a6b7c8d9e0f1a2b3c'));
+
+    // Polls and surveys keep their option keys, which learners' votes refer to
+    const poll = data.pollBlocks.get('c4d5e6f7a8b94c0d1e2f3a4b5c6d7e8f');
+    assert.equal(poll.question, 'Which chart do you read **fastest**?');
+    assert.deepEqual(poll.answers, [
+        { key: 'R', label: 'Bar chart', img: '', imgAlt: '' },
+        { key: 'B', label: 'Pie chart', img: '/static/diagram.png', imgAlt: 'A pie chart' }
+    ]);
+    const survey = data.surveyBlocks.get('d5e6f7a8b9c04d1e2f3a4b5c6d7e8f9a');
+    assert.deepEqual(survey.questions.map(q => q.key), ['enjoy', 'recommend']);
+    assert.deepEqual(survey.answers, [{ key: 'Y', label: 'Yes' }, { key: 'N', label: 'No' }, { key: 'M', label: 'Maybe' }]);
+    assert.equal(survey.privateResults, true);
+
+    // Unsupported components are kept verbatim, inline or in their own file
+    assert.equal(data.rawBlocks.get('f0e1d2c3b4a54b6c7d8e9f0a1b2c3d4e').xml,
+        '<word_cloud url_name="f0e1d2c3b4a54b6c7d8e9f0a1b2c3d4e" xblock-family="xblock.v1" display_name="Essay Words" num_inputs="5"/>');
+    const gdoc = data.rawBlocks.get('bc23de45f6784a9b0c1d2e3f4a5b6c7d');
+    assert.equal(gdoc.tag, 'google-document');
+    assert.match(gdoc.xml, /^<google-document xblock-family="xblock.v1" display_name="Essay Rubric Notes" embed_code="&lt;iframe/);
+
+    // …along with the blocks they point to
+    const conditional = data.rawBlocks.get('cd34ef56a7b84c9d0e1f2a3b4c5d6e7f');
+    assert.deepEqual([...conditional.files.keys()].sort(), [
+        'html/de45f6a7b8c94d0e1f2a3b4c5d6e7f8a.html',
+        'html/de45f6a7b8c94d0e1f2a3b4c5d6e7f8a.xml'
+    ]);
+    assert.ok(!data.textBlocks.has('de45f6a7b8c94d0e1f2a3b4c5d6e7f8a'));
+
+    // Drag-and-drop zones and items come out of the data attribute
+    const dnd = data.dragDropBlocks.get('ab12cd34ef564a7b8c9d0e1f2a3b4c5d');
+    assert.equal(dnd.mode, 'assessment');
+    assert.equal(dnd.maxAttempts, '2');
+    assert.equal(dnd.feedbackFinish, 'All sorted!');
+    assert.equal(dnd.displayLabels, true);
+    assert.deepEqual(dnd.zones.map(z => z.uid), ['independent', 'dependent']);
+    assert.deepEqual(dnd.items.map(i => i.zones), [['independent'], ['dependent'], []]);
+    assert.equal(dnd.items[1].imageDescription, 'A seedling next to a ruler');
+
+    // LTI tools keep their settings; legacy <lti> becomes lti_consumer
+    assert.deepEqual(data.ltiBlocks.get('5a6b7c8d9e0f4a1b2c3d4e5f6a7b8c9d'), {
+        blockId: '5a6b7c8d9e0f4a1b2c3d4e5f6a7b8c9d',
+        title: 'Data Toolbox',
+        ltiId: 'toolbox',
+        launchUrl: 'https://toolbox.example.edu/lti/launch',
+        customParameters: ['dataset=census'],
+        hasScore: true,
+        weight: '5.0',
+        launchTarget: 'modal'
+    });
+    const legacy = data.ltiBlocks.get('6c7d8e9f0a1b4c2d3e4f5a6b7c8d9e0f');
+    assert.equal(legacy.launchTarget, 'iframe');
+    assert.equal(legacy.hasScore, false);
+
+    // …but their secrets are reported, not imported
+    const messages = diagnostics.map(d => d.message);
+    assert.equal(messages.length, 4);
+    assert.ok(messages.some(m => /"Syllabus" tab \(static_tab\) is not supported/.test(m)));
+    assert.match(messages[0], /LTI passports \(legacy, toolbox\)/);
+    assert.ok(messages.some(m => /custom parameters api_token/.test(m)));
+    assert.ok(messages.some(m => /client key and secret/.test(m)));
+    assert.ok(!JSON.stringify(comparable(data)).includes('s3cr3t'));
+
+    // Files in static/ survive extraction byte for byte, text files that
+    // aren't UTF-8 included
+    const png = data.assets.get('diagram.png');
+    assert.deepEqual([...png.subarray(0, 4)], [0x89, 0x50, 0x4e, 0x47]);
+    for (const name of ['responses-latin1.csv', 'notes-utf16.txt']) {
+        assert.deepEqual(data.assets.get(name), new Uint8Array(readFileSync(join(FIXTURES, 'studio-export', 'static', name))));
+    }
+});
@@ -0,0 +1,77 @@
+/**
+ * Content validator: each test runs one snippet of Text Block or Problem
+ * HTML through it and checks the issues reported.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTextBlocks, validateProblemBlocks } from '../src/validator.js';
+
+const NO_ASSETS = new Map();
+
+function validateText(content, assets = NO_ASSETS) {
+    return validateTextBlocks(new Map([['intro', { blockId: 'intro', title: 'Intro', content }]]), assets);
+}
+
+test('an unclosed <div> is an error', () => {
+    assert.deepEqual(validateText('<div class="note"><p>Read this first.</p>'), [
+        { level: 'error', blockId: 'intro', message: '<div> is never closed.' }
+    ]);
+    assert.deepEqual(validateText('<div><span>Read this first.</div>'), [
+        { level: 'error', blockId: 'intro', message: '<span> is not closed before </div>.' }
+    ]);
+});
+
+test('a <p> without its end tag is fine', () => {
+    assert.deepEqual(validateText('<div><p>First paragraph<p>Second paragraph</div>'), []);
+    assert.deepEqual(validateText('<p>Last paragraph'), []);
+});
+
+test('<script> elements are an error', () => {
+    assert.deepEqual(validateText('<p>Hi</p><script>alert("<b>")</script>'), [
+        { level: 'error', blockId: 'intro', message: '<script> elements are not allowed.' }
+    ]);
+});
+
+test('inline event handlers are an error', () => {
+    assert.deepEqual(validateText('<img src="https://example.org/a.png" alt="" onerror="alert(1)"/>'), [
+        { level: 'error', blockId: 'intro', message: '<img> has an inline "onerror" event handler.' }
+    ]);
+});
+
+test('an http:// iframe is an error, an http:// link a warning', () => {
+    assert.deepEqual(validateText('<iframe src="http://example.org/embed"></iframe>'), [
+        { level: 'error', blockId: 'intro', message: '<iframe> source "http://example.org/embed" is not HTTPS; browsers will block it.' }
+    ]);
+    assert.deepEqual(validateText('<a href="http://example.org/">Example</a>'), [
+        { level: 'warning', blockId: 'intro', message: '<a> href "http://example.org/" is not HTTPS.' }
+    ]);
+});
+
+test('a /static/ file that has not been attached is a warning', () => {
+    const html = '<img src="/static/diagram.png" alt="Diagram"/> <a href="/static/notes%20week1.pdf">Notes</a>';
+    assert.deepEqual(validateText(html), [
+        { level: 'warning', blockId: 'intro', message: '/static/diagram.png is referenced but has not been attached.' },
+        { level: 'warning', blockId: 'intro', message: '/static/notes week1.pdf is referenced but has not been attached.' }
+    ]);
+    const assets = new Map([['diagram.png', new Uint8Array()], ['notes week1.pdf', new Uint8Array()]]);
+    assert.deepEqual(validateText(html, assets), []);
+});
+
+test('problem fields are checked and named in the message', () => {
+    const block = {
+        blockId: 'q1',
+        questionText: '<p>Which chart?</p><img src="/static/chart.png" alt="Chart"/>',
+        explanation: 'Lengths are easier to compare than angles.',
+        choices: [
+            { text: 'Bar', correct: true, hint: '' },
+            { text: '<span onclick="go()">Pie</span>', correct: false, hint: '' }
+        ],
+        compoundHints: [],
+        demandHints: ['<a href="http://example.org/">More</a>']
+    };
+    assert.deepEqual(validateProblemBlocks(new Map([['q1', block]]), NO_ASSETS), [
+        { level: 'warning', blockId: 'q1', message: 'question_text: /static/chart.png is referenced but has not been attached.' },
+        { level: 'error', blockId: 'q1', message: 'choice 2: <span> has an inline "onclick" event handler.' },
+        { level: 'warning', blockId: 'q1', message: 'demand hint 1: <a> href "http://example.org/" is not HTTPS.' }
+    ]);
+});